@@ -0,0 +1,122 @@
+// captcha-stub.js
+// Local captcha-solver stand-in so the whole captcha path can run offline:
+//   node scripts/captcha-stub.js
+//   CAPTCHA_PROVIDER=mock npm start
+// Speaks the mock provider protocol (POST /recognize, POST /token, GET /balance) and the 2captcha
+// in.php / res.php protocol, so CAPTCHA_PROVIDER=2captcha CAPTCHA_API_URL=http://127.0.0.1:54330
+// CAPTCHA_API_KEY=test works too.
+//   STUB_TILES=0,4,8       tiles (0-based) every grid recognition answers with
+//   STUB_POINTS=0.2:0.3,.. answer grid recognitions with { x, y } points instead
+//   STUB_REFRESH_ROUNDS=n  single-tile ('1x1') recognitions of a dynamic challenge match their first
+//                          image for n requests, then nothing (default 1)
+//   STUB_TOKEN=...         token every token request answers with
+//   STUB_DELAY_MS=n        delay before each answer (2captcha: polls before the answer is ready)
+//   STUB_FAIL=n            fail the first n solve requests
+//   STUB_CREDIT=n          starting balance; every answer costs 1 (default 1000)
+// GET /stub/requests lists what was asked so far.
+import http from 'http';
+
+const PORT = parseInt(process.env.STUB_PORT || '54330', 10);
+const TILES = (process.env.STUB_TILES || '0,4,8').split(',').map(n => parseInt(n, 10)).filter(n => n >= 0);
+const TOKEN = process.env.STUB_TOKEN || '03AFcWeA-stub-token';
+const POINTS = (process.env.STUB_POINTS || '').split(',').filter(Boolean).map(p => {
+  const [x, y] = p.split(':').map(Number);
+  return { x, y };
+});
+let refreshRounds = parseInt(process.env.STUB_REFRESH_ROUNDS || '1', 10);
+const DELAY_MS = parseInt(process.env.STUB_DELAY_MS || '0', 10);
+let failures = parseInt(process.env.STUB_FAIL || '0', 10);
+let credit = parseFloat(process.env.STUB_CREDIT || '1000');
+const requests = [];
+const tasks = new Map();
+let nextId = 1;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', c => { data += c; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function shouldFail(kind) {
+  if (failures <= 0) return false;
+  failures--;
+  console.log(`${kind}: simulated failure (${failures} more)`);
+  return true;
+}
+
+// Grid answer as indices or points; single tiles as one boolean per image
+function recognition(grid, imageCount) {
+  if (grid === '1x1') {
+    const match = refreshRounds > 0;
+    if (match) refreshRounds--;
+    return Array.from({ length: imageCount }, (_, i) => match && i === 0);
+  }
+  return POINTS.length ? POINTS : TILES;
+}
+
+function log(kind, detail) {
+  requests.push({ at: new Date().toISOString(), kind, ...detail });
+  console.log(`${kind}: ${JSON.stringify(detail)}`);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.pathname === '/stub/requests') return send(res, 200, requests);
+
+  // mock protocol
+  if (url.pathname === '/balance') return send(res, 200, { plan: 'stub', credit });
+  if (req.method === 'POST' && (url.pathname === '/recognize' || url.pathname === '/token')) {
+    let body;
+    try { body = JSON.parse((await readBody(req)) || '{}'); } catch { return send(res, 400, { error: 'Invalid JSON body' }); }
+    const kind = url.pathname.slice(1);
+    log(kind, kind === 'token' ? { type: body.type, sitekey: body.sitekey, url: body.url, enterprise: body.enterprise, invisible: body.invisible, dataS: body.dataS } : { task: body.task, grid: body.grid });
+    if (shouldFail(kind)) return send(res, 503, { error: 'Solver unavailable (simulated)' });
+    await sleep(DELAY_MS);
+    credit--;
+    return send(res, 200, kind === 'token' ? { token: TOKEN } : { data: recognition(body.grid, (body.image_urls || []).length) });
+  }
+
+  // 2captcha protocol
+  if (url.pathname === '/in.php') {
+    const params = new URLSearchParams(req.method === 'POST' ? await readBody(req) : url.search);
+    const method = params.get('method');
+    log('in.php', {
+      method, googlekey: params.get('googlekey') || undefined, version: params.get('version') || undefined,
+      enterprise: params.get('enterprise') || undefined, invisible: params.get('invisible') || undefined, dataS: params.get('data-s') || undefined,
+    });
+    if (shouldFail('in.php')) return send(res, 200, { status: 0, request: 'ERROR_NO_SLOT_AVAILABLE' });
+    const id = String(nextId++);
+    credit--;
+    let answer = TOKEN;
+    if (method !== 'userrecaptcha') {
+      const data = recognition(params.get('recaptcharows') === '1' ? '1x1' : '', 1);
+      if (typeof data[0] === 'boolean') answer = data[0] ? 'click:1' : 'No_matching_images';
+      else if (POINTS.length) answer = `coordinates:${data.map(p => `x=${p.x},y=${p.y}`).join(';')}`;
+      else answer = `click:${data.map(n => n + 1).join('/')}`;
+    }
+    tasks.set(id, { answer, readyAt: Date.now() + DELAY_MS });
+    return send(res, 200, { status: 1, request: id });
+  }
+  if (url.pathname === '/res.php') {
+    const action = url.searchParams.get('action');
+    if (action === 'getbalance') return send(res, 200, { status: 1, request: credit.toFixed(2) });
+    const task = tasks.get(url.searchParams.get('id'));
+    if (!task) return send(res, 200, { status: 0, request: 'ERROR_WRONG_CAPTCHA_ID' });
+    if (Date.now() < task.readyAt) return send(res, 200, { status: 0, request: 'CAPCHA_NOT_READY' });
+    return send(res, 200, { status: 1, request: task.answer });
+  }
+
+  send(res, 404, { error: `No route for ${url.pathname}` });
+});
+
+server.listen(PORT, '127.0.0.1', () => console.log(`Captcha solver stand-in on http://127.0.0.1:${PORT}`));
@@ -0,0 +1,88 @@
+// postgrest-stub.js
+// Minimal in-memory PostgREST stand-in for trying the Supabase sink locally, no project needed:
+//   node scripts/postgrest-stub.js
+//   SUPABASE_URL=http://127.0.0.1:54321 SUPABASE_KEY=test npm start
+// Supports insert, upsert (?on_conflict= with Prefer: resolution=merge-duplicates) and select with
+// limit/offset. STUB_FAIL_WRITES=n answers the first n writes with 503 to exercise retries;
+// STUB_UNIQUE lists the unique columns (default email; empty for none), and an upsert on other
+// columns fails with 42P10 like a table without that constraint. GET /stub/tables dumps everything
+// stored so far.
+import http from 'http';
+
+const PORT = parseInt(process.env.STUB_PORT || '54321', 10);
+let failWrites = parseInt(process.env.STUB_FAIL_WRITES || '0', 10);
+const unique = (process.env.STUB_UNIQUE ?? 'email').split(',').map(c => c.trim()).filter(Boolean).sort().join(',');
+const tables = new Map();
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', c => { data += c; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function upsert(rows, records, keys) {
+  for (const rec of records) {
+    const existing = rows.find(r => keys.every(k => r[k] === rec[k]));
+    if (existing) Object.assign(existing, rec);
+    else rows.push({ ...rec });
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.pathname === '/stub/tables') return send(res, 200, Object.fromEntries(tables));
+
+  const m = url.pathname.match(/^\/rest\/v1\/([^/]+)$/);
+  if (!m) return send(res, 404, { message: `No route for ${url.pathname}` });
+  const table = decodeURIComponent(m[1]);
+  if (!tables.has(table)) tables.set(table, []);
+  const rows = tables.get(table);
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+    const limit = parseInt(url.searchParams.get('limit') || String(rows.length), 10);
+    const select = url.searchParams.get('select');
+    const cols = select && select !== '*' ? select.split(',').map(c => c.trim()) : null;
+    const page = rows.slice(offset, offset + limit).map(r => (cols ? Object.fromEntries(cols.map(c => [c, r[c] ?? null])) : r));
+    return send(res, 200, page);
+  }
+
+  if (req.method === 'POST') {
+    if (failWrites > 0) {
+      failWrites--;
+      console.log(`POST ${table}: simulated 503 (${failWrites} more)`);
+      return send(res, 503, { message: 'Service unavailable (simulated)' });
+    }
+    let records;
+    try {
+      const body = JSON.parse(await readBody(req));
+      records = Array.isArray(body) ? body : [body];
+    } catch {
+      return send(res, 400, { code: 'PGRST102', message: 'Invalid JSON body' });
+    }
+    const onConflict = url.searchParams.get('on_conflict');
+    if (onConflict && onConflict.split(',').map(c => c.trim()).sort().join(',') !== unique) {
+      console.log(`POST ${table}: no unique constraint on ${onConflict}`);
+      return send(res, 400, { code: '42P10', message: 'there is no unique or exclusion constraint matching the ON CONFLICT specification' });
+    }
+    if (onConflict && /merge-duplicates/.test(req.headers.prefer || '')) {
+      upsert(rows, records, onConflict.split(','));
+    } else {
+      rows.push(...records);
+    }
+    console.log(`POST ${table}: ${records.length} rows${onConflict ? ` (upsert on ${onConflict})` : ''}, ${rows.length} stored`);
+    return send(res, 201);
+  }
+
+  send(res, 405, { message: `Method ${req.method} not supported` });
+});
+
+server.listen(PORT, '127.0.0.1', () => console.log(`PostgREST stand-in on http://127.0.0.1:${PORT}`));
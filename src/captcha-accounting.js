@@ -0,0 +1,190 @@
+// captcha-accounting.js
+// Captcha spend and solve-rate bookkeeping. Every provider call made through `wrap()` is counted
+// per provider, query and browser: calls, successes (an answer came back), failures (error or
+// empty answer), latency and estimated spend. Challenges seen / solved give the solve rate.
+//
+// Spend is an estimate in provider units (NopeCHA credits, 2Captcha dollars): `costs.recognition`
+// per recognized image, `costs.token` per token. Once `budget` would be exceeded, or the provider
+// balance drops below `minBalance`, solving is switched off (`action: 'disable'`) or the run is
+// asked to stop (`action: 'stop'`).
+import { log } from './logger.js';
+
+const emptyBucket = () => ({ calls: 0, ok: 0, failed: 0, recognitions: 0, tokens: 0, latencyMs: 0, spend: 0, challenges: 0, solved: 0 });
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Numeric balance from a provider status detail ({ credit } for NopeCHA and the stand-in, { balance } for 2Captcha)
+export function balanceOf(detail) {
+  const v = detail && typeof detail === 'object' ? (detail.credit ?? detail.balance) : detail;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function createCaptchaAccounting({
+  provider = null,
+  costs = { recognition: 1, token: 1 },
+  budget = 0,
+  minBalance = 0,
+  action = 'disable',
+  balanceCheckMs = 300000,
+} = {}) {
+  const totals = emptyBucket();
+  const byProvider = new Map();
+  const byQuery = new Map();
+  const byBrowser = new Map();
+  const balance = { start: null, last: null, checkedAt: null };
+  let exhausted = null;
+  let timer = null;
+  // Estimated cost of provider calls still in flight
+  let reserved = 0;
+
+  function bucket(map, key) {
+    if (!map.has(key)) map.set(key, emptyBucket());
+    return map.get(key);
+  }
+
+  function buckets({ query, browser } = {}, name = provider?.name) {
+    const out = [totals];
+    if (name) out.push(bucket(byProvider, name));
+    if (query) out.push(bucket(byQuery, query));
+    if (browser) out.push(bucket(byBrowser, browser));
+    return out;
+  }
+
+  function exhaust(reason) {
+    if (exhausted) return;
+    exhausted = reason;
+    const then = action === 'stop' ? 'stopping the run after the current pages' : 'captcha solving switched off';
+    log.warn(`💸 [Captcha] ${reason}; ${then}`);
+  }
+
+  // Hold a call's estimated cost until it returns, so tabs solving at the same time cannot
+  // together go over the budget. Spend already booked exhausts the budget; spend only reserved by
+  // calls in flight just turns this call down, as those calls may still fail and release it.
+  function reserve(kind, units) {
+    const cost = (costs[kind] || 0) * units;
+    if (budget > 0 && totals.spend + cost > budget) {
+      exhaust(`budget of ${budget} reached (spent ${round(totals.spend)})`);
+      throw new Error(`captcha solving disabled: ${exhausted}`);
+    }
+    if (budget > 0 && totals.spend + reserved + cost > budget) {
+      throw new Error(`captcha budget held by calls in flight (${round(reserved)} reserved, ${round(budget - totals.spend)} left)`);
+    }
+    reserved += cost;
+    return cost;
+  }
+
+  // Run one provider call, counting it against every bucket it belongs to
+  async function metered(ctx, kind, units, answered, fn) {
+    if (exhausted) throw new Error(`captcha solving disabled: ${exhausted}`);
+    const cost = reserve(kind, units);
+    const started = Date.now();
+    let result, error;
+    try {
+      result = await fn();
+    } catch (err) {
+      error = err;
+    }
+    reserved = Math.max(0, round(reserved - cost));
+    const ok = !error && answered(result);
+    for (const b of buckets(ctx)) {
+      b.calls++;
+      b[kind === 'token' ? 'tokens' : 'recognitions'] += units;
+      b.latencyMs += Date.now() - started;
+      if (ok) b.ok++;
+      else b.failed++;
+      // A call that reached the provider is billed even when it found nothing
+      if (!error) b.spend = round(b.spend + cost);
+    }
+    if (error) throw error;
+    return result;
+  }
+
+  async function checkBalance() {
+    if (!provider) return null;
+    try {
+      const { ok, detail } = await provider.status();
+      if (!ok) {
+        log.warn(`⚠️ Captcha provider ${provider.name} status check failed:`, detail);
+        return null;
+      }
+      const value = balanceOf(detail);
+      if (balance.start === null) {
+        balance.start = value;
+        log.info(`🧩 Captcha provider ${provider.name}:`, detail);
+      } else if (value !== null && value !== balance.last) {
+        log.info(`🧩 [Captcha] ${provider.name} balance: ${value} (estimated spend so far ${round(totals.spend)})`);
+      }
+      balance.last = value;
+      balance.checkedAt = new Date().toISOString();
+      if (value !== null && minBalance > 0 && value < minBalance) exhaust(`balance ${value} is below the minimum of ${minBalance}`);
+      return value;
+    } catch (err) {
+      log.warn(`⚠️ Captcha provider ${provider.name} status check failed:`, err?.message || err);
+      return null;
+    }
+  }
+
+  return {
+    checkBalance,
+
+    // Re-check the provider balance every `balanceCheckMs` until stop()
+    start() {
+      if (!provider || !balanceCheckMs || timer) return;
+      timer = setInterval(checkBalance, balanceCheckMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    // Provider view for one query / browser; null when there is no provider or solving is off
+    wrap(ctx = {}) {
+      if (!provider || exhausted) return null;
+      return {
+        name: provider.name,
+        recognize(params) {
+          const units = params.grid === '1x1' ? Math.max(1, (params.imageUrls || []).length) : 1;
+          return metered(ctx, 'recognition', units, r => !!(r && (r.tiles?.length || r.points?.length)), () => provider.recognize(params));
+        },
+        token(params) {
+          return metered(ctx, 'token', 1, t => !!t, () => provider.token(params));
+        },
+        status: () => provider.status(),
+      };
+    },
+
+    // A captcha page was seen and was (or was not) cleared
+    challenge(ctx, solved) {
+      for (const b of buckets(ctx, null)) {
+        b.challenges++;
+        if (solved) b.solved++;
+      }
+    },
+
+    get enabled() { return !!provider && !exhausted; },
+    get stopRequested() { return !!exhausted && action === 'stop'; },
+
+    stats() {
+      const view = (b) => ({
+        ...b,
+        avgLatencyMs: b.calls ? Math.round(b.latencyMs / b.calls) : 0,
+        solveRate: b.challenges ? round(b.solved / b.challenges, 2) : null,
+      });
+      const all = (map) => Object.fromEntries([...map].map(([k, b]) => [k, view(b)]));
+      return {
+        provider: provider?.name || null,
+        ...view(totals),
+        budget: budget || null,
+        reserved: round(reserved),
+        exhausted,
+        balance: { ...balance, spentByBalance: balance.start !== null && balance.last !== null ? round(balance.start - balance.last) : null },
+        byProvider: all(byProvider),
+        byBrowser: all(byBrowser),
+        byQuery: all(byQuery),
+      };
+    },
+  };
+}
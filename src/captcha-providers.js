@@ -0,0 +1,184 @@
+// captcha-providers.js
+// Captcha-solver providers behind one interface, picked with CAPTCHA_PROVIDER:
+//   name
+//   recognize({ task, imageUrls, grid, rows, cols })  { tiles, points }: 0-based indices of the grid
+//                                                      tiles to click, or { x, y } points in image
+//                                                      pixels (fractions of the image when <= 1).
+//                                                      With grid '1x1' each image is one tile and
+//                                                      `tiles` indexes into imageUrls.
+//   token({ type, sitekey, url, action?, enterprise?, invisible?, dataS? })
+//                                                      response token, or null when unsolved;
+//                                                      dataS is the data-s value of Google's
+//                                                      sorry-page widget
+//   status()                                           { ok, detail } for the startup check
+// Providers: nopecha (official SDK), 2captcha (also any 2captcha-compatible API through
+// CAPTCHA_API_URL) and mock, which talks to the local stand-in in scripts/captcha-stub.js.
+import * as NopechaPkg from 'nopecha';
+import { log } from './logger.js';
+
+export const PROVIDERS = ['nopecha', '2captcha', 'mock', 'none'];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Recognition answers come as indices, a flat boolean grid, nested boolean rows, { clicks } or a
+// list of { x, y } points
+export function toRecognition(result, rows, cols) {
+  const list = Array.isArray(result) ? result : (result && Array.isArray(result.clicks) ? result.clicks : []);
+  const none = { tiles: [], points: [] };
+  if (!list.length) return none;
+  if (typeof list[0] === 'number') return { tiles: list, points: [] };
+  if (typeof list[0] === 'boolean') return { tiles: list.map((v, i) => (v ? i : -1)).filter(i => i >= 0), points: [] };
+  if (Array.isArray(list[0]) && cols) {
+    const tiles = [];
+    list.forEach((row, r) => (row || []).forEach((v, c) => { if (v) tiles.push(r * cols + c); }));
+    return { tiles, points: [] };
+  }
+  if (list[0] && typeof list[0] === 'object' && 'x' in list[0] && 'y' in list[0]) {
+    return { tiles: [], points: list.map(p => ({ x: Number(p.x), y: Number(p.y) })).filter(p => Number.isFinite(p.x) && Number.isFinite(p.y)) };
+  }
+  return none;
+}
+
+async function fetchJson(url, options = {}) {
+  const res = await fetch(url, options);
+  const text = await res.text().catch(() => '');
+  let data;
+  try { data = JSON.parse(text || '{}'); } catch { data = { raw: text }; }
+  if (!res.ok) throw new Error(`${res.status} ${data.message || data.error || text.slice(0, 200)}`);
+  return data;
+}
+
+function createNopechaProvider({ apiKey, apiUrl }) {
+  const { Configuration, NopeCHAApi } = NopechaPkg.default || NopechaPkg;
+  const api = new NopeCHAApi(new Configuration({ apiKey, ...(apiUrl ? { apiBase: apiUrl } : {}) }));
+  return {
+    name: 'nopecha',
+
+    async recognize({ task, imageUrls, grid, rows, cols }) {
+      const result = await api.solveRecognition({ type: 'recaptcha', task, image_urls: imageUrls, grid });
+      return toRecognition(result, rows, cols);
+    },
+
+    async token({ type = 'recaptcha2', sitekey, url, action, enterprise, dataS }) {
+      const data = { type, sitekey, url };
+      if (enterprise) data.enterprise = true;
+      if (action || dataS) data.data = { ...(action ? { action } : {}), ...(dataS ? { s: dataS } : {}) };
+      return (await api.solveToken(data)) || null;
+    },
+
+    async status() {
+      const detail = await api.getBalance();
+      return { ok: true, detail };
+    },
+  };
+}
+
+// 2captcha in.php / res.php protocol: submit, then poll until the answer is ready
+function create2CaptchaProvider({ apiKey, apiUrl = 'https://2captcha.com', timeoutSec = 120, pollMs = 5000 }) {
+  const base = apiUrl.replace(/\/+$/, '');
+
+  async function submit(params) {
+    const data = await fetchJson(`${base}/in.php`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ key: apiKey, json: '1', ...params }),
+    });
+    if (data.status !== 1) throw new Error(`2captcha in.php: ${data.request || data.error_text || 'rejected'}`);
+    return data.request;
+  }
+
+  async function poll(id) {
+    const deadline = Date.now() + timeoutSec * 1000;
+    while (Date.now() < deadline) {
+      await sleep(pollMs);
+      const data = await fetchJson(`${base}/res.php?${new URLSearchParams({ key: apiKey, action: 'get', id, json: '1' })}`);
+      if (data.status === 1) return data.request;
+      if (data.request !== 'CAPCHA_NOT_READY') throw new Error(`2captcha res.php: ${data.request}`);
+    }
+    throw new Error(`2captcha: no answer within ${timeoutSec}s`);
+  }
+
+  // The image is sent as base64. Grid answers are `click:1/4/7` (1-based), coordinate answers
+  // `coordinates:x=39,y=59;x=252,y=72`.
+  async function recognizeImage({ task, imageUrl, rows, cols }) {
+    const res = await fetch(imageUrl);
+    if (!res.ok) throw new Error(`could not download challenge image (${res.status})`);
+    const body = Buffer.from(await res.arrayBuffer()).toString('base64');
+    const answer = String(await poll(await submit({
+      method: 'base64', body, recaptcha: '1', textinstructions: task,
+      ...(rows ? { recaptcharows: String(rows) } : {}), ...(cols ? { recaptchacols: String(cols) } : {}),
+    })));
+    if (/^coordinates:/i.test(answer)) {
+      const points = [...answer.matchAll(/x=(\d+(?:\.\d+)?),y=(\d+(?:\.\d+)?)/gi)].map(m => ({ x: Number(m[1]), y: Number(m[2]) }));
+      return { tiles: [], points };
+    }
+    const tiles = answer.replace(/^click:/i, '').split(/[/,]/).map(n => parseInt(n, 10) - 1).filter(n => n >= 0);
+    return { tiles, points: [] };
+  }
+
+  return {
+    name: '2captcha',
+
+    // A '1x1' request is one image per tile; they go to the API one at a time
+    async recognize({ task, imageUrls, grid, rows, cols }) {
+      if (grid !== '1x1' || imageUrls.length < 2) return recognizeImage({ task, imageUrl: imageUrls[0], rows, cols });
+      const tiles = [];
+      for (let i = 0; i < imageUrls.length; i++) {
+        const { tiles: hit } = await recognizeImage({ task, imageUrl: imageUrls[i], rows: 1, cols: 1 });
+        if (hit.length) tiles.push(i);
+      }
+      return { tiles, points: [] };
+    },
+
+    async token({ type = 'recaptcha2', sitekey, url, action, enterprise, invisible, dataS }) {
+      return poll(await submit({
+        method: 'userrecaptcha', googlekey: sitekey, pageurl: url,
+        ...(type === 'recaptcha3' ? { version: 'v3', action: action || 'verify', min_score: '0.3' } : {}),
+        ...(type !== 'recaptcha3' && invisible ? { invisible: '1' } : {}),
+        ...(dataS ? { 'data-s': dataS } : {}),
+        ...(enterprise ? { enterprise: '1' } : {}),
+      }));
+    },
+
+    async status() {
+      const data = await fetchJson(`${base}/res.php?${new URLSearchParams({ key: apiKey, action: 'getbalance', json: '1' })}`);
+      if (data.status !== 1) return { ok: false, detail: data.request };
+      return { ok: true, detail: { balance: Number(data.request) } };
+    },
+  };
+}
+
+// Local stand-in: POST /recognize, POST /token, GET /balance (see scripts/captcha-stub.js)
+function createMockProvider({ apiUrl = 'http://127.0.0.1:54330' }) {
+  const base = apiUrl.replace(/\/+$/, '');
+  const post = (path, body) => fetchJson(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return {
+    name: 'mock',
+
+    async recognize({ task, imageUrls, grid, rows, cols }) {
+      const data = await post('/recognize', { task, image_urls: imageUrls, grid });
+      return toRecognition(data.data, rows, cols);
+    },
+
+    async token(params) {
+      return (await post('/token', params)).token || null;
+    },
+
+    async status() {
+      return { ok: true, detail: await fetchJson(`${base}/balance`) };
+    },
+  };
+}
+
+// Provider from config; null when solving is off or the provider has no API key
+export function createCaptchaProvider(name, { apiKey = '', apiUrl = '', timeoutSec = 120 } = {}) {
+  if (!name || name === 'none') return null;
+  if (name === 'mock') return createMockProvider({ ...(apiUrl ? { apiUrl } : {}) });
+  if (!apiKey) {
+    log.warn(`⚠️ Captcha provider "${name}" has no API key; captchas will not be solved.`);
+    return null;
+  }
+  if (name === 'nopecha') return createNopechaProvider({ apiKey, apiUrl });
+  if (name === '2captcha') return create2CaptchaProvider({ apiKey, timeoutSec, ...(apiUrl ? { apiUrl } : {}) });
+  throw new Error(`Unknown captcha provider "${name}". Available: ${PROVIDERS.join(', ')}`);
+}
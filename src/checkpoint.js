@@ -0,0 +1,153 @@
+// checkpoint.js
+// Persistent per-query progress so an interrupted run can be resumed with --resume.
+import fs from 'fs';
+import { log } from './logger.js';
+
+export const STATUS = Object.freeze({
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  BLOCKED: 'blocked',
+  CANCELLED: 'cancelled',
+});
+
+function readState(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return {};
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8') || '{}');
+    return (data && typeof data.queries === 'object' && data.queries) || {};
+  } catch (err) {
+    log.warn('⚠️ Could not read checkpoint, starting fresh:', err?.message || err);
+    return {};
+  }
+}
+
+// A fresh run must not silently wipe out a checkpoint that still has work in it: move it aside
+// (checkpoint.backup-<time>.json) so it can be renamed back and resumed
+function setAsideUnfinished(filePath) {
+  const old = readState(filePath);
+  const unfinished = Object.values(old).filter(e => e.status !== STATUS.DONE || e.crawl?.length).length;
+  if (!unfinished) return;
+  const backup = /\.json$/i.test(filePath) ? filePath.replace(/\.json$/i, `.backup-${Date.now()}.json`) : `${filePath}.backup-${Date.now()}`;
+  try {
+    fs.renameSync(filePath, backup);
+    log.warn(`⚠️ ${filePath} had ${unfinished} unfinished queries and --resume was not given; moved it to ${backup}.`);
+  } catch (err) {
+    log.error('🚨 Could not move the previous checkpoint aside:', err?.message || err);
+  }
+}
+
+// Create a checkpoint store backed by a JSON file.
+// With resume=false any previous state is discarded and every query starts from page 1; a previous
+// file with unfinished queries is moved aside on the first write (so a preview leaves it alone).
+// Query status changes are written at once; deep-crawl queue changes are batched (call flush() on exit).
+export function createCheckpointStore(filePath, { resume = false, saveDelayMs = 5000 } = {}) {
+  const queries = resume ? readState(filePath) : {};
+  let saveTimer = null;
+  let firstSave = !resume;
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (firstSave) {
+      firstSave = false;
+      if (fs.existsSync(filePath)) setAsideUnfinished(filePath);
+    }
+    // Write to a temp file and rename so a crash mid-write never corrupts the checkpoint
+    const tmp = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), queries }, null, 2), 'utf-8');
+      fs.renameSync(tmp, filePath);
+    } catch (err) {
+      log.error('🚨 Failed to write checkpoint:', err?.message || err);
+    }
+  }
+
+  // Batch the many crawl-queue updates from the crawl workers into one write
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, saveDelayMs);
+    saveTimer.unref?.();
+  }
+
+  function entry(query) {
+    if (!queries[query]) queries[query] = { status: STATUS.PENDING, lastPage: 0, updatedAt: null };
+    return queries[query];
+  }
+
+  function update(query, patch) {
+    Object.assign(entry(query), patch, { updatedAt: new Date().toISOString() });
+    save();
+  }
+
+  return {
+    get(query) {
+      return queries[query] || null;
+    },
+
+    // Register queries so pending ones show up in the state file from the start
+    register(list) {
+      for (const q of list) entry(q);
+      save();
+    },
+
+    has(query) {
+      return Boolean(queries[query]);
+    },
+
+    isDone(query) {
+      return queries[query]?.status === STATUS.DONE;
+    },
+
+    // Page to continue from: one past the last page that was fully processed
+    nextPage(query) {
+      const e = queries[query];
+      return e && e.status !== STATUS.DONE ? (e.lastPage || 0) + 1 : 1;
+    },
+
+    markRunning(query) { update(query, { status: STATUS.RUNNING }); },
+    markPage(query, pageNum) { update(query, { lastPage: pageNum }); },
+    markDone(query) { update(query, { status: STATUS.DONE }); },
+    markBlocked(query) { update(query, { status: STATUS.BLOCKED }); },
+    // Failed mid-way: keep lastPage so the next --resume picks up where it stopped
+    markPending(query) { update(query, { status: STATUS.PENDING }); },
+    // Cancelled through the control API; like blocked, --resume picks it up again
+    markCancelled(query) { update(query, { status: STATUS.CANCELLED }); },
+
+    // Deep-crawl URLs queued for a query and not visited yet, kept so --resume can still crawl them
+    // after the query itself is done: [{ url, depth, tag, result }]
+    addCrawl(query, item) {
+      const e = entry(query);
+      e.crawl = (e.crawl || []).filter(c => c.url !== item.url).concat(item);
+      scheduleSave();
+    },
+
+    finishCrawl(query, url) {
+      const e = queries[query];
+      if (!e?.crawl) return;
+      e.crawl = e.crawl.filter(c => c.url !== url);
+      if (!e.crawl.length) delete e.crawl;
+      scheduleSave();
+    },
+
+    pendingCrawls() {
+      return Object.entries(queries).flatMap(([query, e]) => (e.crawl || []).map(c => ({ query, ...c })));
+    },
+
+    // Write out batched changes now (on exit)
+    flush() {
+      if (saveTimer) save();
+    },
+
+    // Every query with its state: [{ query, status, lastPage, updatedAt }]
+    list() {
+      return Object.entries(queries).map(([query, e]) => ({ query, ...e }));
+    },
+
+    summary() {
+      const counts = { pending: 0, running: 0, done: 0, blocked: 0, cancelled: 0 };
+      for (const e of Object.values(queries)) counts[e.status] = (counts[e.status] || 0) + 1;
+      return counts;
+    },
+  };
+}
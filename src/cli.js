@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line entry point: node src/cli.js <command> [--option=value ...] [--config=file]
+// Options come from env, a JSON/YAML config file and flags (see config.js); everything is
+// validated before a command runs.
+import fs from 'fs';
+import { loadConfig, printConfigErrors, setConfig, OPTIONS, toKebab } from './config.js';
+import { createCheckpointStore } from './checkpoint.js';
+import { createDedupeIndex } from './dedupe.js';
+import { readOutputRows, toCsvLine } from './csv.js';
+import { log } from './logger.js';
+
+const COMMANDS = {
+  run: { describe: 'Scrape the queries from the input CSV or templates (default)', flags: [] },
+  resume: { describe: 'Continue the previous run from the checkpoint', flags: [] },
+  stats: { describe: 'Show checkpoint, output, dedupe index, spool and last-run statistics', flags: [] },
+  export: { describe: 'Export output rows (--format=csv|jsonl|json --out=<file> --status=valid,risky --tag=<tag>)', flags: ['format', 'out', 'status', 'tag'] },
+  dedupe: { describe: 'Show the dedupe index (--top=<n>, --lookup=<email>, --rebuild from the output CSV)', flags: ['top', 'lookup', 'rebuild'] },
+  config: { describe: 'Print the resolved configuration and where each value came from', flags: [] },
+};
+
+function usage() {
+  console.log('Usage: node src/cli.js <command> [options] [--config=<file.json|yaml>]\n');
+  console.log('Commands:');
+  for (const [name, c] of Object.entries(COMMANDS)) console.log(`  ${name.padEnd(8)} ${c.describe}`);
+  console.log('\nOptions (flag / env, default):');
+  for (const o of OPTIONS) {
+    const env = [].concat(o.env || []).join(' | ');
+    const def = Array.isArray(o.default) ? o.default.join(',') : (o.default && typeof o.default === 'object' ? '' : o.default);
+    console.log(`  --${toKebab(o.key)}${env ? ` / ${env}` : ''}${def !== '' && def != null ? ` (${def})` : ''}\n      ${o.describe}`);
+  }
+}
+
+function count(values) {
+  const out = {};
+  for (const v of values) out[v || '(none)'] = (out[v || '(none)'] || 0) + 1;
+  return out;
+}
+
+const list = (obj) => Object.entries(obj).sort((a, b) => b[1] - a[1]).map(([k, v]) => `${k}=${v}`).join(', ') || 'none';
+
+async function stats(config) {
+  if (fs.existsSync(config.checkpointFile)) {
+    const s = createCheckpointStore(config.checkpointFile, { resume: true }).summary();
+    console.log(`📋 Checkpoint (${config.checkpointFile}): ${s.done} done, ${s.blocked} blocked, ${s.running} running, ${s.pending} pending${s.cancelled ? `, ${s.cancelled} cancelled` : ''}`);
+  } else {
+    console.log(`📋 No checkpoint at ${config.checkpointFile}`);
+  }
+
+  const rows = await readOutputRows(config.outputFile);
+  console.log(`📄 Output (${config.outputFile}): ${rows.length} rows, ${new Set(rows.map(r => r.result_domain || r.email.split('@')[1])).size} domains`);
+  if (rows.length) {
+    console.log(`   validation: ${list(count(rows.map(r => r.validation_status)))}`);
+    console.log(`   tags: ${list(count(rows.map(r => r.tag)))}`);
+  }
+
+  const dedupe = createDedupeIndex({ file: config.dedupeFile });
+  console.log(`🗂️ Dedupe index (${config.dedupeFile}): ${dedupe.size} emails`);
+
+  if (fs.existsSync(config.supabaseSpoolFile)) {
+    const pending = fs.readFileSync(config.supabaseSpoolFile, 'utf-8').split('\n').filter(l => l.trim()).length;
+    console.log(`📼 Supabase spool (${config.supabaseSpoolFile}): ${pending} rows waiting to be replayed`);
+  }
+
+  if (fs.existsSync(config.reportFile)) {
+    try {
+      const r = JSON.parse(fs.readFileSync(config.reportFile, 'utf-8'));
+      console.log(`📝 Last run (${r.startedAt} → ${r.finishedAt}): ${r.queries} queries, ${r.pages} pages, ${r.emails} emails`);
+      console.log(`   stop reasons: ${list(r.byReason || {})}`);
+      if (r.captcha?.provider) {
+        const c = r.captcha;
+        console.log(`   captchas: ${c.challenges} seen, ${c.solved} solved, ${c.calls} ${c.provider} calls, estimated spend ${c.spend}${c.exhausted ? ` (stopped: ${c.exhausted})` : ''}`);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Could not read ${config.reportFile}:`, err?.message || err);
+    }
+  }
+}
+
+async function exportRows(config, flags) {
+  const format = String(flags.format || 'csv').toLowerCase();
+  if (!['csv', 'jsonl', 'json'].includes(format)) throw new Error(`--format must be csv, jsonl or json, got "${flags.format}"`);
+  const statuses = flags.status ? String(flags.status).toLowerCase().split(',').map(x => x.trim()).filter(Boolean) : null;
+  let rows = await readOutputRows(config.outputFile);
+  if (statuses) rows = rows.filter(r => statuses.includes(r.validation_status));
+  if (flags.tag) rows = rows.filter(r => r.tag === flags.tag);
+
+  let text;
+  if (format === 'json') text = JSON.stringify(rows, null, 2) + '\n';
+  else if (format === 'jsonl') text = rows.map(r => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : '');
+  else {
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    text = [columns.join(','), ...rows.map(r => toCsvLine(columns, r))].join('\n') + '\n';
+  }
+
+  if (flags.out) {
+    fs.writeFileSync(flags.out, text, 'utf-8');
+    console.log(`📤 Exported ${rows.length} rows to ${flags.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+async function dedupeCommand(config, flags) {
+  const dedupe = createDedupeIndex({ file: config.dedupeFile });
+  if (flags.rebuild === 'true') {
+    dedupe.clear();
+    const added = await dedupe.seedFromCsv(config.outputFile);
+    dedupe.flush();
+    console.log(`🗂️ Rebuilt ${config.dedupeFile} from ${config.outputFile}: ${added} emails`);
+    return;
+  }
+  if (flags.lookup) {
+    const e = dedupe.get(flags.lookup);
+    if (!e) console.log(`${flags.lookup}: not in the index`);
+    else console.log(`${flags.lookup}: first seen ${e.firstSeen || '?'} by "${e.firstQuery}", ${e.sightings} later sightings`);
+    return;
+  }
+  const top = parseInt(flags.top || '10', 10) || 10;
+  const entries = dedupe.entries();
+  console.log(`🗂️ ${config.dedupeFile}: ${entries.length} emails, ${entries.reduce((n, [, e]) => n + e.sightings, 0)} repeat sightings`);
+  for (const [email, e] of entries.sort((a, b) => b[1].sightings - a[1].sightings).slice(0, top).filter(([, e]) => e.sightings > 0)) {
+    console.log(`   ${email}: ${e.sightings} sightings (first by "${e.firstQuery}")`);
+  }
+}
+
+function printConfig(config, sources) {
+  for (const o of OPTIONS) {
+    const v = config[o.key];
+    const shown = o.secret && v ? '********' : JSON.stringify(v);
+    console.log(`${o.key} = ${shown}  (${sources[o.key]})`);
+  }
+}
+
+const allFlags = [...new Set(Object.values(COMMANDS).flatMap(c => c.flags))];
+const { command, positionals, config, sources, commandFlags, configFile, help, errors } = loadConfig({ commandFlags: allFlags });
+const name = command || 'run';
+
+if (help) {
+  usage();
+  process.exit(0);
+}
+if (!COMMANDS[name]) {
+  console.error(`❌ Unknown command "${name}". Run with --help for the list of commands.`);
+  process.exit(2);
+}
+if (positionals.length) errors.push(`Unexpected argument "${positionals[0]}" (command options take --name=value)`);
+for (const f of Object.keys(commandFlags)) {
+  if (!COMMANDS[name].flags.includes(f)) errors.push(`--${f} is not an option of the ${name} command`);
+}
+if (errors.length) {
+  printConfigErrors(errors, configFile);
+  process.exit(2);
+}
+
+if (name === 'resume') config.resume = true;
+setConfig(config);
+
+try {
+  if (name === 'run' || name === 'resume') {
+    const { run } = await import('./main.js');
+    if (configFile) log.info(`⚙️ Config file: ${configFile}`);
+    await run();
+  } else if (name === 'stats') {
+    await stats(config);
+  } else if (name === 'export') {
+    await exportRows(config, commandFlags);
+  } else if (name === 'dedupe') {
+    await dedupeCommand(config, commandFlags);
+  } else if (name === 'config') {
+    printConfig(config, sources);
+  }
+} catch (err) {
+  console.error('🚨', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,358 @@
+// config.js
+// Run configuration. Every option is declared once in OPTIONS with its env name, type and limits.
+// Sources, lowest to highest precedence: defaults < env (.env) < config file (JSON or YAML) < flags.
+// Values are validated up front so mistakes are reported before any browser launches.
+//
+// Option fields:
+//   key       camelCase name, used in the config file; the flag is its kebab-case form (--tabs-per-browser)
+//   env       env var name(s); the first one that is set wins
+//   flag      extra flag alias kept for older command lines (--engine, --template, ...)
+//   type      int | number | boolean | string | list | enum | map
+//   min/max   numeric limits; values: allowed values for enum and list
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import YAML from 'yaml';
+import { engineNames } from './engines.js';
+import { PROVIDERS } from './captcha-providers.js';
+import { LEVELS, FORMATS } from './logger.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+dotenv.config({ path: path.join(ROOT_DIR, '.env') });
+
+const root = (...p) => path.join(ROOT_DIR, ...p);
+
+export const OPTIONS = [
+  // Input / output files
+  { key: 'inputFile', env: 'INPUT_FILE', type: 'string', default: root('src', 'input.csv'), flag: 'input', describe: 'Input CSV with one query per row' },
+  { key: 'outputFile', env: 'OUTPUT_FILE', type: 'string', default: root('output.csv'), flag: 'output', describe: 'Output CSV' },
+  { key: 'checkpointFile', env: 'CHECKPOINT_FILE', type: 'string', default: root('checkpoint.json'), describe: 'Progress checkpoint used by resume' },
+  { key: 'reportFile', env: 'REPORT_FILE', type: 'string', default: root('run-report.json'), describe: 'End-of-run report' },
+  { key: 'resume', type: 'boolean', default: false, describe: 'Continue from the checkpoint (same as the resume command)' },
+  { key: 'preview', type: 'boolean', default: false, describe: 'Print the expanded query count and exit' },
+
+  // Browsers
+  { key: 'headless', env: 'HEADLESS', type: 'boolean', default: false, describe: 'Run browsers without a window' },
+  { key: 'browsers', env: 'BROWSERS', type: 'int', min: 1, default: 1, describe: 'Browser windows' },
+  { key: 'tabsPerBrowser', env: 'TABS_PER_BROWSER', type: 'int', min: 1, default: 1, describe: 'Tabs per browser' },
+  { key: 'searchEngine', env: 'SEARCH_ENGINE', flag: 'engine', type: 'enum', values: engineNames(), default: 'google', describe: 'Default search engine' },
+
+  // Query templates
+  { key: 'queryTemplate', env: 'QUERY_TEMPLATE', flag: 'template', type: 'string', default: '', describe: 'Query template with {placeholders}' },
+  { key: 'templateFile', env: 'TEMPLATE_FILE', type: 'string', default: '', describe: 'File with one template per line' },
+  { key: 'templateLists', env: 'TEMPLATE_LISTS', flag: 'lists', type: 'string', default: '', describe: 'CSV whose columns are the placeholder lists' },
+  { key: 'templateListFiles', env: 'TEMPLATE_LIST_*', type: 'map', default: {}, describe: 'Placeholder -> list file (TEMPLATE_LIST_CITY=cities.txt)' },
+
+  // Per-query stop rules (unset = no limit)
+  { key: 'maxPages', env: 'MAX_PAGES', type: 'int', min: 1, default: null, describe: 'Result pages per query' },
+  { key: 'maxEmptyPages', env: 'MAX_EMPTY_PAGES', type: 'int', min: 1, default: null, describe: 'Consecutive pages without new emails' },
+  { key: 'queryTimeBudgetSec', env: 'QUERY_TIME_BUDGET_SEC', type: 'int', min: 1, default: null, describe: 'Wall-clock budget per query' },
+  { key: 'targetEmails', env: 'TARGET_EMAILS', type: 'int', min: 1, default: null, describe: 'Unique emails after which a query stops' },
+
+  // Dedupe
+  { key: 'dedupeFile', env: 'DEDUPE_FILE', type: 'string', default: root('dedupe-index.json'), describe: 'Cross-run dedupe index' },
+  { key: 'dedupeSeedSupabase', env: 'DEDUPE_SEED_SUPABASE', type: 'boolean', default: false, describe: 'Also seed the index from Supabase' },
+
+  // Proxies and profiles
+  { key: 'proxyFile', env: 'PROXY_FILE', type: 'string', default: '', describe: 'Proxy list, one per line' },
+  { key: 'proxies', env: 'PROXIES', type: 'list', default: [], describe: 'Comma-separated proxies' },
+  { key: 'proxyMinScore', env: 'PROXY_MIN_SCORE', type: 'number', min: 0, max: 1, default: 0.5, describe: 'Health score below which a proxy is rotated out' },
+  { key: 'proxyMinSamples', env: 'PROXY_MIN_SAMPLES', type: 'int', min: 1, default: 5, describe: 'Pages before a proxy can be rotated out' },
+  { key: 'proxyCooldownSec', env: 'PROXY_COOLDOWN_SEC', type: 'int', min: 1, default: 600, describe: 'How long a rotated-out proxy rests' },
+  { key: 'profilesFile', env: 'PROFILES_FILE', type: 'string', default: '', describe: 'JSON array of browser context profiles' },
+  { key: 'profileRotation', env: 'PROFILE_ROTATION', type: 'enum', values: ['round-robin', 'random'], default: 'round-robin', describe: 'Profile rotation' },
+
+  // Adaptive pacing
+  { key: 'paceBaseDelayMs', env: 'PACE_BASE_DELAY_MS', type: 'int', min: 1, default: 1500, describe: 'Base delay between page loads' },
+  { key: 'paceMaxDelayMs', env: 'PACE_MAX_DELAY_MS', type: 'int', min: 1, default: 30000, describe: 'Delay ceiling' },
+  { key: 'paceWindow', env: 'PACE_WINDOW', type: 'int', min: 1, default: 20, describe: 'Pages in the block-rate window' },
+  { key: 'paceMinSamples', env: 'PACE_MIN_SAMPLES', type: 'int', min: 1, default: 5, describe: 'Pages between pacing decisions' },
+  { key: 'paceSlowRate', env: 'PACE_SLOW_RATE', type: 'number', min: 0, max: 1, default: 0.2, describe: 'Block rate that slows a browser down' },
+  { key: 'pacePauseRate', env: 'PACE_PAUSE_RATE', type: 'number', min: 0, max: 1, default: 0.5, describe: 'Block rate that pauses a browser' },
+  { key: 'pacePauseSec', env: 'PACE_PAUSE_SEC', type: 'int', min: 1, default: 300, describe: 'Pause length' },
+
+  // Validation and deep crawl
+  { key: 'validateMx', env: 'VALIDATE_MX', type: 'boolean', default: false, describe: 'Look up MX records per domain' },
+  { key: 'mxDnsServers', env: 'MX_DNS_SERVERS', type: 'list', default: [], describe: 'DNS servers for the MX lookup (host[:port])' },
+  { key: 'mxTimeoutMs', env: 'MX_TIMEOUT_MS', type: 'int', min: 1, default: 5000, describe: 'MX lookup timeout' },
+  { key: 'deepCrawl', env: 'DEEP_CRAWL', type: 'boolean', default: false, describe: 'Visit organic result pages' },
+  { key: 'deepCrawlDepth', env: 'DEEP_CRAWL_DEPTH', type: 'int', min: 0, default: 1, describe: 'Link hops from each result page' },
+  { key: 'deepCrawlWorkers', env: 'DEEP_CRAWL_WORKERS', type: 'int', min: 1, default: 2, describe: 'Deep-crawl tabs' },
+  { key: 'deepCrawlMaxResults', env: 'DEEP_CRAWL_MAX_RESULTS', type: 'int', min: 1, default: 10, describe: 'Result URLs taken per SERP page' },
+
+  // Output sinks
+  { key: 'outputSinks', env: 'OUTPUT_SINKS', type: 'list', values: ['csv', 'jsonl', 'sqlite', 'supabase'], default: ['csv', 'supabase'], describe: 'Enabled output sinks' },
+  { key: 'jsonlFile', env: 'JSONL_FILE', type: 'string', default: root('output.jsonl'), describe: 'JSON Lines sink file' },
+  { key: 'sqliteFile', env: 'SQLITE_FILE', type: 'string', default: root('output.db'), describe: 'SQLite sink database' },
+  { key: 'sinkBatchSize', env: 'SINK_BATCH_SIZE', type: 'int', min: 1, default: 50, describe: 'Rows per sink flush' },
+  { key: 'sinkFlushMs', env: 'SINK_FLUSH_MS', type: 'int', min: 1, default: 5000, describe: 'Max time rows wait in the buffer' },
+
+  // Supabase
+  { key: 'supabaseUrl', env: 'SUPABASE_URL', type: 'string', default: '', describe: 'Supabase project URL' },
+  { key: 'supabaseKey', env: ['SUPABASE_SERVICE_ROLE', 'SUPABASE_KEY', 'SUPABASE_ANON_KEY'], type: 'string', default: '', secret: true, describe: 'Supabase key' },
+  { key: 'supabaseTable', env: 'SUPABASE_TABLE', type: 'string', default: 'email_table', describe: 'Supabase table' },
+  { key: 'supabaseColumns', env: 'SUPABASE_COLUMNS', type: 'string', default: 'created_at=timestamp,email,query,result_url,result_domain,result_title,result_snippet,serp_page,serp_position', describe: 'Table column <- output field mapping' },
+  { key: 'supabaseUpsertKey', env: 'SUPABASE_UPSERT_KEY', type: 'string', default: 'email', describe: "Unique key for upserts, e.g. email or email,query (needs a unique constraint; 'none' for inserts)" },
+  { key: 'supabaseBatchSize', env: 'SUPABASE_BATCH_SIZE', type: 'int', min: 1, default: 500, describe: 'Rows per Supabase request' },
+  { key: 'supabaseRetries', env: 'SUPABASE_RETRIES', type: 'int', min: 0, default: 4, describe: 'Retries per failed request' },
+  { key: 'supabaseRetryBaseMs', env: 'SUPABASE_RETRY_BASE_MS', type: 'int', min: 1, default: 1000, describe: 'First retry delay (doubles per attempt)' },
+  { key: 'supabaseSpoolFile', env: 'SUPABASE_SPOOL_FILE', type: 'string', default: root('supabase-spool.jsonl'), describe: 'Spool for rows that could not be written' },
+
+  // Logging and progress
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: LEVELS, default: 'info', describe: 'Lowest level logged' },
+  { key: 'logFormat', env: 'LOG_FORMAT', type: 'enum', values: FORMATS, default: 'pretty', describe: 'Console log format' },
+  { key: 'logFile', env: 'LOG_FILE', type: 'string', default: '', describe: 'Also write JSON-lines logs to this file' },
+  { key: 'logFileMaxMb', env: 'LOG_FILE_MAX_MB', type: 'number', min: 0.1, default: 10, describe: 'Rotate the log file at this size' },
+  { key: 'logFileKeep', env: 'LOG_FILE_KEEP', type: 'int', min: 1, default: 5, describe: 'Rotated log files to keep' },
+  { key: 'progress', env: 'PROGRESS', type: 'enum', values: ['dashboard', 'logs', 'off'], default: 'dashboard', describe: 'Terminal view at start (press p to switch); non-TTY output gets summary lines unless off' },
+  { key: 'progressIntervalSec', env: 'PROGRESS_INTERVAL_SEC', type: 'int', min: 5, default: 60, describe: 'Seconds between progress summary lines when stdout is not a TTY' },
+
+  // Control API
+  { key: 'controlPort', env: 'CONTROL_PORT', type: 'int', min: 0, max: 65535, default: 0, describe: 'Port of the local HTTP control API (0 = off)' },
+  { key: 'controlHost', env: 'CONTROL_HOST', type: 'string', default: '127.0.0.1', describe: 'Address the control API listens on' },
+  { key: 'controlToken', env: 'CONTROL_TOKEN', type: 'string', default: '', secret: true, describe: 'Bearer token the control API requires' },
+  { key: 'controlWait', env: 'CONTROL_WAIT', type: 'boolean', default: false, describe: 'When the queue runs dry, wait for queries from the control API until POST /stop' },
+
+  // Captcha solving
+  { key: 'captchaProvider', env: 'CAPTCHA_PROVIDER', type: 'enum', values: PROVIDERS, default: 'nopecha', describe: 'Captcha-solver provider' },
+  { key: 'captchaApiKey', env: 'CAPTCHA_API_KEY', type: 'string', default: '', secret: true, describe: 'Provider API key (NOPECHA_KEY is used for nopecha when empty)' },
+  { key: 'captchaApiUrl', env: 'CAPTCHA_API_URL', type: 'string', default: '', describe: 'Provider API base URL (2captcha-compatible services, the mock stand-in)' },
+  { key: 'captchaTimeoutSec', env: 'CAPTCHA_TIMEOUT_SEC', type: 'int', min: 10, default: 120, describe: 'Seconds to wait for a provider answer' },
+  { key: 'captchaUseToken', env: ['CAPTCHA_USE_TOKEN', 'NOPECHA_USE_TOKEN'], type: 'boolean', default: false, describe: 'Solve reCAPTCHA through the provider token API' },
+  { key: 'captchaManual', env: 'CAPTCHA_MANUAL', type: 'boolean', default: false, describe: 'Wait for a human to solve captchas the solver could not (headful only)' },
+  { key: 'captchaManualTimeoutSec', env: 'CAPTCHA_MANUAL_TIMEOUT_SEC', type: 'int', min: 10, default: 300, describe: 'Seconds a tab waits for a manual solve' },
+  { key: 'captchaCostRecognition', env: 'CAPTCHA_COST_RECOGNITION', type: 'number', min: 0, default: 1, describe: 'Estimated provider spend per recognized image' },
+  { key: 'captchaCostToken', env: 'CAPTCHA_COST_TOKEN', type: 'number', min: 0, default: 1, describe: 'Estimated provider spend per token' },
+  { key: 'captchaBudget', env: 'CAPTCHA_BUDGET', type: 'number', min: 0, default: 0, describe: 'Estimated spend allowed per run (0 = no limit)' },
+  { key: 'captchaBudgetAction', env: 'CAPTCHA_BUDGET_ACTION', type: 'enum', values: ['disable', 'stop'], default: 'disable', describe: 'When the budget or minimum balance is hit: stop solving, or stop the run' },
+  { key: 'captchaMinBalance', env: 'CAPTCHA_MIN_BALANCE', type: 'number', min: 0, default: 0, describe: 'Provider balance to keep in reserve (0 = none)' },
+  { key: 'captchaBalanceCheckSec', env: 'CAPTCHA_BALANCE_CHECK_SEC', type: 'int', min: 0, default: 300, describe: 'Seconds between provider balance checks (0 = only at start)' },
+  { key: 'nopechaKey', env: ['NOPECHA_KEY', 'NOPECHA_API_KEY'], type: 'string', default: '', secret: true, describe: 'NopeCHA API key' },
+  { key: 'nopechaExtensionPath', env: 'NOPECHA_EXTENSION_PATH', type: 'string', default: '', describe: 'Unpacked NopeCHA extension' },
+];
+
+const BY_KEY = new Map(OPTIONS.map(o => [o.key, o]));
+
+export function toKebab(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+const normalize = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Closest option for an unknown name ("tabs_per_browser", "TABS_PER_BROWSER" -> tabsPerBrowser)
+function suggest(name) {
+  const n = normalize(name);
+  const hit = OPTIONS.find(o => normalize(o.key) === n || [].concat(o.env || []).some(e => normalize(e) === n));
+  return hit ? ` (did you mean "${hit.key}"?)` : '';
+}
+
+// Convert a raw value (string from env/flags, or native from a config file) to the option's type.
+// Returns { value } or { error }.
+function coerce(opt, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  switch (opt.type) {
+    case 'int': {
+      const n = typeof text === 'number' ? text : (/^[-+]?\d+$/.test(String(text)) ? Number(text) : NaN);
+      if (!Number.isInteger(n)) return { error: `expected an integer, got ${JSON.stringify(raw)}` };
+      return checkRange(opt, n);
+    }
+    case 'number': {
+      const n = typeof text === 'number' ? text : (String(text) === '' ? NaN : Number(text));
+      if (!Number.isFinite(n)) return { error: `expected a number, got ${JSON.stringify(raw)}` };
+      return checkRange(opt, n);
+    }
+    case 'boolean': {
+      if (typeof text === 'boolean') return { value: text };
+      const s = String(text).toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(s)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(s)) return { value: false };
+      return { error: `expected true or false, got ${JSON.stringify(raw)}` };
+    }
+    case 'string':
+      if (typeof text === 'object' && text !== null) return { error: `expected a string, got ${JSON.stringify(raw)}` };
+      return { value: String(text ?? '') };
+    case 'enum': {
+      const s = String(text).toLowerCase();
+      if (!opt.values.includes(s)) return { error: `expected one of ${opt.values.join(', ')}, got ${JSON.stringify(raw)}` };
+      return { value: s };
+    }
+    case 'list': {
+      const items = (Array.isArray(text) ? text : String(text).split(',')).map(x => String(x).trim()).filter(Boolean);
+      if (opt.values) {
+        const lower = items.map(x => x.toLowerCase());
+        const bad = lower.filter(x => !opt.values.includes(x));
+        if (bad.length) return { error: `unknown value${bad.length > 1 ? 's' : ''} ${bad.join(', ')} (allowed: ${opt.values.join(', ')})` };
+        return { value: lower };
+      }
+      return { value: items };
+    }
+    case 'map': {
+      if (!text || typeof text !== 'object' || Array.isArray(text)) return { error: `expected an object of name: value pairs, got ${JSON.stringify(raw)}` };
+      return { value: Object.fromEntries(Object.entries(text).map(([k, v]) => [k.toLowerCase(), String(v)])) };
+    }
+    default:
+      return { error: `unsupported type ${opt.type}` };
+  }
+}
+
+function checkRange(opt, n) {
+  if (opt.min !== undefined && n < opt.min) return { error: `must be at least ${opt.min}, got ${n}` };
+  if (opt.max !== undefined && n > opt.max) return { error: `must be at most ${opt.max}, got ${n}` };
+  return { value: n };
+}
+
+// Split argv into the subcommand, option flags and command-specific flags.
+// Accepts --name=value, --name value, --flag and --no-flag.
+export function parseArgs(argv, commandFlags = []) {
+  const out = { command: null, positionals: [], flags: {}, commandFlags: {}, configFile: null, help: false, errors: [] };
+  const byFlag = new Map();
+  for (const o of OPTIONS) {
+    byFlag.set(toKebab(o.key), o);
+    if (o.flag) byFlag.set(o.flag, o);
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (!out.command) out.command = arg;
+      else out.positionals.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    let name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    let value = eq === -1 ? undefined : arg.slice(eq + 1);
+    if (name === 'help') { out.help = true; continue; }
+    let negated = false;
+    if (value === undefined && name.startsWith('no-') && (byFlag.get(name.slice(3))?.type === 'boolean' || commandFlags.includes(name.slice(3)))) {
+      name = name.slice(3);
+      negated = true;
+    }
+    const opt = byFlag.get(name);
+    const takesValue = name === 'config' || (opt ? opt.type !== 'boolean' : false);
+    if (value === undefined) {
+      if (negated) value = 'false';
+      else if (takesValue && i + 1 < argv.length && !argv[i + 1].startsWith('--')) value = argv[++i];
+      else if (takesValue) { out.errors.push(`--${name} needs a value`); continue; }
+      else value = 'true';
+    }
+    if (name === 'config') out.configFile = value;
+    else if (opt) out.flags[opt.key] = { value, flag: `--${name}` };
+    else if (commandFlags.includes(name)) out.commandFlags[name] = value;
+    else out.errors.push(`Unknown flag --${name}${suggest(name)}`);
+  }
+  return out;
+}
+
+// Config file from --config, CONFIG_FILE or scraper.config.{json,yaml,yml} in the project root
+function findConfigFile(explicit, env) {
+  if (explicit) return explicit;
+  if (env.CONFIG_FILE) return env.CONFIG_FILE;
+  return ['scraper.config.json', 'scraper.config.yaml', 'scraper.config.yml'].map(f => root(f)).find(f => fs.existsSync(f)) || null;
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (data == null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object of option: value pairs at the top level');
+  return data;
+}
+
+// Checks that involve more than one option
+function crossChecks(config) {
+  const errors = [];
+  if (config.paceMaxDelayMs < config.paceBaseDelayMs) errors.push(`paceMaxDelayMs (${config.paceMaxDelayMs}) must not be below paceBaseDelayMs (${config.paceBaseDelayMs})`);
+  if (config.pacePauseRate < config.paceSlowRate) errors.push(`pacePauseRate (${config.pacePauseRate}) must not be below paceSlowRate (${config.paceSlowRate})`);
+  if (Boolean(config.supabaseUrl) !== Boolean(config.supabaseKey)) errors.push('supabaseUrl and supabaseKey must be set together');
+  if (config.captchaManual && config.headless) errors.push('captchaManual needs a visible browser; set headless to false');
+  if (config.controlWait && !config.controlPort) errors.push('controlWait needs the control API; set controlPort');
+  if (config.controlPort && !config.controlToken && !/^(127\.\d+\.\d+\.\d+|::1|localhost)$/i.test(config.controlHost)) {
+    errors.push(`controlHost ${config.controlHost} exposes the control API beyond this machine; set controlToken`);
+  }
+  for (const [name, file] of [['profilesFile', config.profilesFile], ['proxyFile', config.proxyFile], ['templateFile', config.templateFile], ['templateLists', config.templateLists], ...Object.entries(config.templateListFiles).map(([k, f]) => [`templateListFiles.${k}`, f])]) {
+    if (file && !fs.existsSync(file)) errors.push(`${name}: file not found: ${file}`);
+  }
+  return errors;
+}
+
+// Build the config. Returns { command, config, commandFlags, configFile, help, errors }; `errors`
+// lists every problem found (each naming the option and where the bad value came from).
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, commandFlags = [] } = {}) {
+  const args = parseArgs(argv, commandFlags);
+  const errors = [...args.errors];
+  const config = {};
+  const sources = {};
+
+  // Defaults, then env
+  for (const opt of OPTIONS) {
+    config[opt.key] = opt.default;
+    sources[opt.key] = 'default';
+    if (opt.type === 'map') {
+      const prefix = opt.env.replace('*', '');
+      const entries = Object.entries(env).filter(([k, v]) => k.startsWith(prefix) && v);
+      if (entries.length) {
+        config[opt.key] = Object.fromEntries(entries.map(([k, v]) => [k.slice(prefix.length).toLowerCase(), v]));
+        sources[opt.key] = `env ${prefix}*`;
+      }
+      continue;
+    }
+    const name = [].concat(opt.env || []).find(e => env[e] !== undefined && env[e] !== '');
+    if (!name) continue;
+    const r = coerce(opt, env[name]);
+    if (r.error) errors.push(`${opt.key}: ${r.error} (from env ${name})`);
+    else { config[opt.key] = r.value; sources[opt.key] = `env ${name}`; }
+  }
+
+  // Config file
+  const configFile = findConfigFile(args.configFile, env);
+  if (configFile) {
+    try {
+      for (const [key, raw] of Object.entries(readConfigFile(configFile))) {
+        const opt = BY_KEY.get(key);
+        if (!opt) { errors.push(`Unknown option "${key}" in ${configFile}${suggest(key)}`); continue; }
+        if (raw === null) { config[key] = opt.default; continue; }
+        const r = coerce(opt, raw);
+        if (r.error) errors.push(`${key}: ${r.error} (from ${configFile})`);
+        else { config[key] = r.value; sources[key] = configFile; }
+      }
+    } catch (err) {
+      errors.push(`Could not read config file ${configFile}: ${err?.message || err}`);
+    }
+  }
+
+  // Flags
+  for (const [key, { value, flag }] of Object.entries(args.flags)) {
+    const r = coerce(BY_KEY.get(key), value);
+    if (r.error) errors.push(`${key}: ${r.error} (from ${flag})`);
+    else { config[key] = r.value; sources[key] = flag; }
+  }
+
+  if (errors.length === 0) errors.push(...crossChecks(config));
+  return { command: args.command, positionals: args.positionals, config, sources, commandFlags: args.commandFlags, configFile, help: args.help, errors };
+}
+
+export function printConfigErrors(errors, configFile) {
+  console.error(`❌ Invalid configuration${configFile ? ` (config file: ${configFile})` : ''}:`);
+  for (const e of errors) console.error(`   • ${e}`);
+}
+
+// Config for the current process. The CLI sets it; modules started directly (node src/main.js)
+// fall back to env and flags, exiting on invalid values.
+let current = null;
+
+export function setConfig(config) {
+  current = config;
+}
+
+export function getConfig() {
+  if (!current) {
+    const { config, errors, configFile } = loadConfig();
+    if (errors.length) {
+      printConfigErrors(errors, configFile);
+      process.exit(2);
+    }
+    current = config;
+  }
+  return current;
+}
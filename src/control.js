@@ -0,0 +1,179 @@
+// control.js
+// Optional local HTTP API for a running scrape (CONTROL_PORT). Every route answers JSON except
+// /metrics (Prometheus text) and /emails (Server-Sent Events):
+//   GET    /status                    run id, state, progress counters, captcha spend, browsers
+//   GET    /metrics                   the same counters for a Prometheus scraper
+//   GET    /queries[?status=]         every query with its state, and where it runs right now
+//   POST   /queries                   enqueue { query, ...input columns }, an array, or { queries: [...] }
+//   DELETE /queries/<query>           cancel a queued or running query
+//   GET    /browsers                  pause state and pacing per browser
+//   POST   /browsers/<n>/pause|resume stop or restart page loads on one browser
+//   POST   /stop                      graceful stop: running queries end after their current page
+//   GET    /emails                    one `email` event per new output row
+// With a token set, requests need `Authorization: Bearer <token>` (or ?token= for EventSource).
+// The run supplies the behaviour through `api`; handlers throw httpError() for client errors.
+import http from 'http';
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_MS = 15000;
+
+// Error carrying the HTTP status to answer with
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(httpError(413, `request body over ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(data.trim() ? JSON.parse(data) : null);
+      } catch (err) {
+        reject(httpError(400, `invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Prometheus text exposition of a status() snapshot
+function toMetrics(s) {
+  const lines = [];
+  const label = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP scraper_${name} ${help}`, `# TYPE scraper_${name} ${type}`);
+    for (const [labels, value] of samples) {
+      const l = Object.entries(labels).map(([k, v]) => `${k}="${label(v)}"`).join(',');
+      lines.push(`scraper_${name}${l ? `{${l}}` : ''} ${Number(value) || 0}`);
+    }
+  };
+  metric('queries', 'gauge', 'Queries by state', Object.entries(s.queries).map(([status, n]) => [{ status }, n]));
+  metric('queue_size', 'gauge', 'Queries waiting for a tab', [[{}, s.queued]]);
+  metric('stopping', 'gauge', '1 once a graceful stop was requested', [[{}, s.state === 'stopping' ? 1 : 0]]);
+  metric('emails_found_total', 'counter', 'Email sightings', [[{}, s.emails.found]]);
+  metric('emails_unique_total', 'counter', 'New emails written to the output', [[{}, s.emails.unique]]);
+  metric('pages_total', 'counter', 'Result pages loaded, block pages included', [[{}, s.pages]]);
+  metric('browser_pages_total', 'counter', 'Result pages loaded per browser', s.browsers.map(b => [{ browser: b.name }, b.pages]));
+  metric('browser_captchas_total', 'counter', 'Block pages served per browser', s.browsers.map(b => [{ browser: b.name }, b.captchas]));
+  metric('browser_captchas_solved_total', 'counter', 'Captchas cleared per browser', s.browsers.map(b => [{ browser: b.name }, b.solved]));
+  metric('browser_paused', 'gauge', '1 while a browser is paused through the API', s.browsers.map(b => [{ browser: b.name }, b.paused ? 1 : 0]));
+  metric('captcha_calls_total', 'counter', 'Captcha provider calls', [[{}, s.captcha.calls]]);
+  metric('captcha_spend', 'gauge', 'Estimated captcha spend in provider units', [[{}, s.captcha.spend]]);
+  if (s.captcha.balance !== null) metric('captcha_balance', 'gauge', 'Last captcha provider balance', [[{}, s.captcha.balance]]);
+  return lines.join('\n') + '\n';
+}
+
+export function createControlServer({ host = '127.0.0.1', port, token = '', api }) {
+  const streams = new Set();
+  let heartbeat = null;
+
+  function authorized(req, url) {
+    if (!token) return true;
+    const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, '') || url.searchParams.get('token') || '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Keep the response open and push rows to it from publishEmails()
+  function openStream(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(': connected\n\n');
+    streams.add(res);
+    req.on('close', () => streams.delete(res));
+    if (!heartbeat) {
+      heartbeat = setInterval(() => { for (const s of streams) s.write(': ping\n\n'); }, HEARTBEAT_MS);
+      heartbeat.unref?.();
+    }
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!authorized(req, url)) return send(res, 401, { error: 'missing or wrong token' });
+    // Split before decoding so a query may contain an encoded slash
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const [resource, id, action] = parts;
+    const method = req.method;
+
+    if (method === 'GET' && resource === 'status' && !id) return send(res, 200, api.status());
+    if (method === 'GET' && resource === 'metrics' && !id) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      return res.end(toMetrics(api.status()));
+    }
+    if (resource === 'queries' && !id) {
+      if (method === 'GET') return send(res, 200, api.queries({ status: url.searchParams.get('status') || null }));
+      if (method === 'POST') {
+        const body = await readJson(req);
+        const items = Array.isArray(body) ? body : Array.isArray(body?.queries) ? body.queries : body ? [body] : [];
+        if (!items.length) throw httpError(400, 'expected { query }, an array of them, or { queries: [...] }');
+        return send(res, 202, api.enqueue(items));
+      }
+    }
+    if (method === 'DELETE' && resource === 'queries' && id && parts.length === 2) return send(res, 200, api.cancel(id));
+    if (method === 'GET' && resource === 'browsers' && !id) return send(res, 200, api.browsers());
+    if (method === 'POST' && resource === 'browsers' && id && (action === 'pause' || action === 'resume') && parts.length === 3) {
+      return send(res, 200, api.pauseBrowser(id, action === 'pause'));
+    }
+    if (method === 'POST' && resource === 'stop' && !id) return send(res, 202, api.stop());
+    if (method === 'GET' && resource === 'emails' && !id) return openStream(req, res);
+    throw httpError(404, `No route for ${method} ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      const status = err.status || (err instanceof URIError ? 400 : 500);
+      if (status >= 500) log.error(`🚨 [Control] ${req.method} ${req.url} failed:`, err?.message || err);
+      if (!res.headersSent) send(res, status, { error: err?.message || String(err) });
+      else res.end();
+    });
+  });
+
+  return {
+    // Resolves with the bound address once listening; rejects if the port cannot be used
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          const { address, port: bound } = server.address();
+          resolve(`http://${address.includes(':') ? `[${address}]` : address}:${bound}`);
+        });
+      });
+    },
+
+    // New output rows, as one `email` event each to every open /emails stream
+    publishEmails(rows) {
+      if (!streams.size) return;
+      const chunk = rows.map(r => `event: email\ndata: ${JSON.stringify(r)}\n\n`).join('');
+      for (const s of streams) s.write(chunk);
+    },
+
+    // Tell stream clients the run is over, then stop listening
+    close() {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      for (const s of streams) s.end('event: end\ndata: {}\n\n');
+      streams.clear();
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeIdleConnections?.();
+      });
+    },
+  };
+}
@@ -0,0 +1,132 @@
+// crawler.js
+// Deep-crawl mode: visit organic result URLs from the SERP (and their contact/about/team pages)
+// collected by the engine adapter
+// in a separate pool of tabs, extracting emails from each landing page.
+import { log, withLogContext } from './logger.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Same-domain links worth following for contact details
+const FOLLOW_PATTERN = /contact|about|team|staff|people|impressum|kontakt/i;
+// Skip documents and media the browser would download instead of render
+const SKIP_EXT = /\.(pdf|docx?|xlsx?|pptx?|zip|rar|jpe?g|png|gif|webp|svg|mp4|mp3)(\?|#|$)/i;
+
+function normalizeUrl(u) {
+  try {
+    const url = new URL(u);
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+// Same-domain candidate links on a landing page (www. is ignored when comparing hosts)
+async function collectFollowLinks(page, baseUrl) {
+  const host = new URL(baseUrl).hostname.replace(/^www\./i, '');
+  const links = await page.evaluate(() =>
+    Array.from(document.querySelectorAll('a[href]')).map((a) => ({ href: a.href, text: (a.textContent || '').trim().slice(0, 80) }))
+  ).catch(() => []);
+  const out = new Set();
+  for (const { href, text } of links) {
+    try {
+      const u = new URL(href);
+      if (!/^https?:$/.test(u.protocol)) continue;
+      if (u.hostname.replace(/^www\./i, '') !== host) continue;
+      if (!FOLLOW_PATTERN.test(u.pathname) && !FOLLOW_PATTERN.test(text)) continue;
+      const n = normalizeUrl(u.toString());
+      if (n && !SKIP_EXT.test(n)) out.add(n);
+    } catch { }
+  }
+  return [...out];
+}
+
+// Create a crawl worker pool on its own browser context.
+// extractEmails(page) returns [{ email, technique }]; onEmails(found, { ...origin, sourceUrl, depth })
+// is called for every page that yields addresses. onQueued(job) / onFinished(job) ({ url, origin,
+// depth }) bracket every queued URL, so the caller can persist the ones not visited yet.
+export function createCrawler({ context, extractEmails, onEmails, onQueued, onFinished, workers = 2, maxDepth = 1, maxLinksPerPage = 5, navTimeout = 20000 }) {
+  const queue = [];
+  const visited = new Set();
+  let active = 0;
+  let draining = false;
+  let closed = false;
+  const stats = { visited: 0, failed: 0, emails: 0 };
+
+  function push(url, origin, depth) {
+    const n = normalizeUrl(url);
+    if (!n || SKIP_EXT.test(n) || visited.has(n)) return;
+    visited.add(n);
+    const job = { url: n, origin, depth };
+    queue.push(job);
+    onQueued?.(job);
+  }
+
+  async function visit(page, job) {
+    try {
+      await page.goto(job.url, { waitUntil: 'domcontentloaded', timeout: navTimeout });
+      await page.waitForTimeout(500 + Math.random() * 500);
+      stats.visited++;
+      const found = await extractEmails(page);
+      if (found.length) {
+        stats.emails += found.length;
+        await onEmails(found, { ...job.origin, sourceUrl: job.url, depth: job.depth });
+      }
+      if (job.depth < maxDepth) {
+        const links = await collectFollowLinks(page, job.url);
+        links.slice(0, maxLinksPerPage).forEach((l) => push(l, job.origin, job.depth + 1));
+      }
+    } catch (err) {
+      stats.failed++;
+      log.warn(`⚠️ [Crawl] ${job.url} failed:`, err?.message || err);
+    }
+  }
+
+  async function worker(id) {
+    const page = await context.newPage();
+    try {
+      while (!closed) {
+        const job = queue.shift();
+        if (!job) {
+          if (draining && active === 0) break;
+          await sleep(250);
+          continue;
+        }
+        active++;
+        try {
+          await withLogContext({ query: job.origin?.query }, () => visit(page, job));
+          onFinished?.(job);
+        } finally {
+          active--;
+        }
+      }
+    } catch (err) {
+      log.error(`🚨 [Crawl ${id + 1}] worker error:`, err?.message || err);
+    } finally {
+      await page.close().catch(() => { });
+    }
+  }
+
+  const pool = Array.from({ length: workers }, (_, i) => withLogContext({ browser: 'crawl', tab: i + 1 }, () => worker(i)));
+
+  return {
+    stats,
+
+    // Queue SERP result URLs (depth 0, or the saved depth of a resumed URL); origin
+    // ({ query, tag, result }) is passed back to onEmails
+    enqueue(urls, origin, depth = 0) {
+      for (const u of urls) push(u, origin, depth);
+    },
+
+    // Wait for the queue to empty and the workers to exit
+    async drain() {
+      draining = true;
+      await Promise.allSettled(pool);
+    },
+
+    async close() {
+      closed = true;
+      await Promise.allSettled(pool);
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// csv.js
+// Small CSV helpers: escaping, parsing, input checks and output header migration.
+import fs from 'fs';
+import csv from 'csv-parser';
+import { log } from './logger.js';
+
+export function escapeCsv(v = '') {
+  const s = String(v ?? '');
+  if (s.includes(',') || s.includes('"') || s.includes('\n') || s.includes('\r')) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+export function toCsvLine(columns, row) {
+  return columns.map(c => escapeCsv(row[c])).join(',');
+}
+
+// Synchronous RFC 4180 parser. Returns { rows, error }: rows as string arrays, and the first place
+// the text breaks the format ({ line, reason }, 1-based), or null. After an error the rest is
+// still parsed leniently, the way csv-parser reads it.
+function scanCsv(text) {
+  const rows = [];
+  let row = [], field = '', inQuotes = false, closed = false;
+  let line = 1, quoteLine = 0, error = null;
+  const fail = (reason, at = line) => { if (!error) error = { line: at, reason }; };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; } else { inQuotes = false; closed = true; }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      if (field !== '' || closed) fail('a quote inside an unquoted field');
+      inQuotes = true;
+      quoteLine = line;
+    } else if (ch === ',') {
+      row.push(field); field = ''; closed = false;
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      row.push(field); field = ''; closed = false;
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      if (closed) fail('text after a closing quote');
+      field += ch;
+    }
+  }
+  if (inQuotes) fail('an unclosed quote', quoteLine);
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return { rows, error };
+}
+
+export function parseCsv(text) {
+  return scanCsv(text).rows;
+}
+
+// Where the text is not valid RFC 4180 ({ line, reason }), or null. Quoted fields may span lines.
+export function findCsvError(text) {
+  return scanCsv(text).error;
+}
+
+// Make sure the file starts with the expected header. If an older header is found, the file is
+// backed up and its rows are rewritten under the new header (columns matched by name).
+export function ensureCsvHeader(filePath, columns) {
+  const header = columns.join(',');
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, header + '\n', 'utf-8');
+    return null;
+  }
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  if (firstLine.trim() === header) return null;
+
+  const backup = filePath.replace(/\.csv$/i, `.backup-${Date.now()}.csv`);
+  fs.copyFileSync(filePath, backup);
+  const [oldHeader = [], ...oldRows] = parseCsv(text);
+  const names = oldHeader.map(h => h.trim());
+  const lines = names.includes('email')
+    ? oldRows.map(r => toCsvLine(columns, Object.fromEntries(names.map((n, i) => [n, r[i] ?? '']))))
+    : [];
+  fs.writeFileSync(filePath, [header, ...lines].join('\n') + '\n', 'utf-8');
+  return { backup, migrated: lines.length };
+}
+
+// Stream the existing output CSV and resolve with its rows as objects keyed by header
+export function readOutputRows(filePath) {
+  return new Promise((resolve) => {
+    const rows = [];
+    if (!fs.existsSync(filePath)) return resolve(rows);
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (r) => { if (r.email) rows.push(r); })
+      .on('end', () => resolve(rows))
+      .on('error', (err) => {
+        log.warn('⚠️ Could not read output CSV:', err?.message || err);
+        resolve(rows);
+      });
+  });
+}
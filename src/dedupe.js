@@ -0,0 +1,121 @@
+// dedupe.js
+// Run-wide (and cross-run) email dedupe index shared by every browser and tab.
+import fs from 'fs';
+import { readOutputRows } from './csv.js';
+import { log } from './logger.js';
+
+// Create the index. `file` is where sightings are persisted between runs.
+// A new email is only persisted once confirm() reports its output row written, so a crash in
+// between cannot leave an address in the index that is missing from the output.
+export function createDedupeIndex({ file, saveDelayMs = 5000 } = {}) {
+  // email -> { firstQuery, firstSeen, sightings }
+  const seen = new Map();
+  // New this run, output row not written yet
+  const unwritten = new Set();
+  let saveTimer = null;
+
+  function load() {
+    try {
+      if (!file || !fs.existsSync(file)) return;
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8') || '{}');
+      for (const [email, e] of Object.entries(data.emails || {})) seen.set(email, e);
+    } catch (err) {
+      log.warn('⚠️ Could not read dedupe index:', err?.message || err);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = `${file}.tmp`;
+    try {
+      const emails = Object.fromEntries([...seen].filter(([email]) => !unwritten.has(email)));
+      fs.writeFileSync(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), emails }), 'utf-8');
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log.error('🚨 Failed to write dedupe index:', err?.message || err);
+    }
+  }
+
+  // Batch frequent updates from many tabs into one write
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(save, saveDelayMs);
+    saveTimer.unref?.();
+  }
+
+  function seed(email, query, timestamp) {
+    const key = String(email || '').trim().toLowerCase();
+    if (!key) return;
+    if (!seen.has(key)) seen.set(key, { firstQuery: query || '', firstSeen: timestamp || null, sightings: 0 });
+  }
+
+  load();
+
+  return {
+    get size() { return seen.size; },
+
+    has(email) { return seen.has(String(email).toLowerCase()); },
+
+    get(email) { return seen.get(String(email).toLowerCase()) || null; },
+
+    // [email, { firstQuery, firstSeen, sightings }] pairs
+    entries() { return [...seen]; },
+
+    // Forget every email (e.g. before rebuilding from output.csv)
+    clear() {
+      seen.clear();
+      unwritten.clear();
+      scheduleSave();
+    },
+
+    // Seed from output.csv; duplicate rows written before the index existed count as sightings
+    async seedFromCsv(filePath) {
+      const before = seen.size;
+      const known = new Set(seen.keys());
+      for (const r of await readOutputRows(filePath)) {
+        const key = r.email.trim().toLowerCase();
+        if (known.has(key)) continue;
+        if (seen.has(key)) seen.get(key).sightings++;
+        else seed(key, r.query, r.timestamp);
+      }
+      return seen.size - before;
+    },
+
+    // Seed from the Supabase table, paging through the email column
+    async seedFromSupabase(supabase, table, { pageSize = 1000 } = {}) {
+      if (!supabase) return 0;
+      const before = seen.size;
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase.from(table).select('email, created_at').range(from, from + pageSize - 1);
+        if (error) throw new Error(error.message || String(error));
+        for (const r of data || []) seed(r.email, '', r.created_at);
+        if (!data || data.length < pageSize) break;
+      }
+      return seen.size - before;
+    },
+
+    // Returns true if the email is new; otherwise counts a sighting and returns false
+    add(email, query) {
+      const key = String(email).toLowerCase();
+      const e = seen.get(key);
+      if (e) {
+        e.sightings++;
+        scheduleSave();
+        return false;
+      }
+      seen.set(key, { firstQuery: query, firstSeen: new Date().toISOString(), sightings: 0 });
+      unwritten.add(key);
+      return true;
+    },
+
+    // The output rows for these emails are written; persist them with the next save
+    confirm(emails) {
+      for (const email of emails) unwritten.delete(String(email).toLowerCase());
+      scheduleSave();
+    },
+
+    flush: save,
+  };
+}
@@ -0,0 +1,257 @@
+// engines.js
+// Search-engine adapters. Each adapter knows how to build a results URL, page forward,
+// accept consent screens, spot block pages and list organic result links.
+//
+// Adapter shape:
+//   name                                   engine id used in config / input rows
+//   resultsSelector                        container that holds the organic results
+//   buildSearchUrl({ query, page, hl, gl }) URL for 1-based results page `page`
+//   goToNextPage(page)                     click through to the next page; false when there is none
+//   isConsentPage(page) / acceptConsent(page)
+//   isBlocked(page)                        true on captcha / rate-limit pages
+//   resultSelectors                        { link, title, block, snippet } for organic results
+//   collectResults(page)                   organic results: [{ position, url, domain, title, snippet, text }]
+import { log } from './logger.js';
+
+// Click the first matching "next" control and wait for the results container
+async function clickNext(page, selectors, resultsSelector) {
+  for (const sel of selectors) {
+    try {
+      const el = await page.$(sel);
+      if (el) {
+        await el.scrollIntoViewIfNeeded();
+        await page.waitForTimeout(500 + Math.random() * 500);
+        try { await el.click({ delay: 50 + Math.random() * 150 }); } catch { try { await page.click(sel); } catch { } }
+        try { await page.waitForSelector(resultsSelector, { timeout: 15000 }); } catch { }
+        await page.waitForTimeout(1000 + Math.random() * 1000);
+        return true;
+      }
+    } catch (err) {
+      // ignore and try next selector
+    }
+  }
+  return false;
+}
+
+// Click the first consent button that is present; true once the page leaves the consent screen
+async function clickConsent(page, selectors, stillOnConsent) {
+  for (const sel of selectors) {
+    try {
+      const el = await page.$(sel);
+      if (el) {
+        try {
+          await el.click();
+        } catch (e) {
+          try { await page.click(sel); } catch { }
+        }
+        await page.waitForTimeout(1000);
+        if (!(await stillOnConsent())) return true;
+      }
+    } catch (err) { /* ignore */ }
+  }
+  return false;
+}
+
+// Organic result blocks in page order. Each result link is widened to its enclosing block so the
+// snippet (and any email printed in it) can be tied back to the result. Engine redirect links are
+// unwrapped and the engine's own hosts dropped; position is 1-based on the current page.
+async function resultBlocks(page, selectors, { hostPattern, unwrap = (u) => u }) {
+  let raw = [];
+  try {
+    raw = await page.evaluate((sel) => {
+      const out = [];
+      const blocks = new Set();
+      for (const a of document.querySelectorAll(sel.link)) {
+        const block = a.closest(sel.block) || a.parentElement?.parentElement || a;
+        if (blocks.has(block)) continue;
+        blocks.add(block);
+        const title = (a.querySelector(sel.title) || a).textContent || '';
+        const snippetEl = block.querySelector(sel.snippet);
+        out.push({
+          href: a.href,
+          title: title.trim(),
+          snippet: ((snippetEl && snippetEl.innerText) || '').trim(),
+          text: (block.innerText || '').trim(),
+        });
+      }
+      return out;
+    }, selectors);
+  } catch (err) {
+    log.warn('⚠️ collectResults failed:', err?.message || err);
+    return [];
+  }
+  const out = [];
+  for (const r of raw) {
+    const url = unwrap(r.href);
+    let domain;
+    try {
+      const u = new URL(url);
+      if (!/^https?:$/.test(u.protocol) || hostPattern.test(u.hostname)) continue;
+      domain = u.hostname.replace(/^www\./i, '');
+    } catch { continue; }
+    if (out.some(o => o.url === url)) continue;
+    out.push({ position: out.length + 1, url, domain, title: r.title, snippet: r.snippet, text: r.text });
+  }
+  return out;
+}
+
+export const google = {
+  name: 'google',
+  resultsSelector: 'div#search',
+
+  // Google paginates with start= in steps of 10 (num=10)
+  buildSearchUrl({ query, page = 1, hl, gl }) {
+    const params = new URLSearchParams({ q: query, num: '10', hl: hl || 'en' });
+    if (gl) params.set('gl', gl);
+    if (page > 1) params.set('start', String((page - 1) * 10));
+    return `https://www.google.com/search?${params}`;
+  },
+
+  goToNextPage(page) {
+    return clickNext(page, ['a#pnnext', 'a#pnnext span.oeN89d', 'a[aria-label="Next page"]', 'a[aria-label="Next"]'], this.resultsSelector);
+  },
+
+  async isConsentPage(page) {
+    return /consent/i.test(page.url());
+  },
+
+  acceptConsent(page) {
+    const locators = ['#L2AGLb', 'button[aria-label*="Agree" i]', 'button:has-text("I agree")', 'button:has-text("Accept all")'];
+    return clickConsent(page, locators, () => this.isConsentPage(page));
+  },
+
+  async isBlocked(page) {
+    if (/recaptcha|challenge|sorry/i.test(page.url())) return true;
+    return Boolean(await page.$('div.g-recaptcha') || await page.$('iframe[src*="recaptcha"]'));
+  },
+
+  resultSelectors: {
+    link: 'div#search a:has(h3)',
+    title: 'h3',
+    block: 'div.MjjYud, div.g',
+    snippet: '.VwiC3b, [data-sncf], [style*="-webkit-line-clamp"]',
+  },
+
+  collectResults(page) {
+    return resultBlocks(page, this.resultSelectors, { hostPattern: /(^|\.)google\./i });
+  },
+};
+
+// Bing wraps result links as bing.com/ck/a?...&u=a1<base64url target>
+function unwrapBing(href) {
+  try {
+    const u = new URL(href);
+    const target = u.searchParams.get('u');
+    if (/(^|\.)bing\.com$/i.test(u.hostname) && target && target.startsWith('a1')) {
+      return Buffer.from(target.slice(2).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf-8');
+    }
+  } catch { }
+  return href;
+}
+
+export const bing = {
+  name: 'bing',
+  resultsSelector: '#b_results',
+
+  // Bing paginates with first= (1-based result index)
+  buildSearchUrl({ query, page = 1, hl, gl }) {
+    const params = new URLSearchParams({ q: query });
+    if (hl) params.set('setlang', hl);
+    if (gl) params.set('cc', gl);
+    if (page > 1) params.set('first', String((page - 1) * 10 + 1));
+    return `https://www.bing.com/search?${params}`;
+  },
+
+  goToNextPage(page) {
+    return clickNext(page, ['a.sb_pagN', 'a[title="Next page"]', 'a[aria-label="Next page"]'], this.resultsSelector);
+  },
+
+  async isConsentPage(page) {
+    return Boolean(await page.$('#bnp_btn_accept'));
+  },
+
+  acceptConsent(page) {
+    return clickConsent(page, ['#bnp_btn_accept', 'button:has-text("Accept")'], () => this.isConsentPage(page));
+  },
+
+  async isBlocked(page) {
+    if (/\/turing\/captcha|\/challenge/i.test(page.url())) return true;
+    return Boolean(await page.$('#b_captcha, iframe[src*="challenges.cloudflare.com"], iframe[src*="recaptcha"]'));
+  },
+
+  resultSelectors: {
+    link: '#b_results li.b_algo h2 a',
+    title: 'h2',
+    block: 'li.b_algo',
+    snippet: '.b_caption p, p',
+  },
+
+  collectResults(page) {
+    return resultBlocks(page, this.resultSelectors, { hostPattern: /(^|\.)(bing|microsoft)\.com$/i, unwrap: unwrapBing });
+  },
+};
+
+// DuckDuckGo HTML results link through duckduckgo.com/l/?uddg=<target>
+function unwrapDuckDuckGo(href) {
+  try {
+    const u = new URL(href);
+    const target = u.searchParams.get('uddg');
+    if (target) return decodeURIComponent(target);
+  } catch { }
+  return href;
+}
+
+export const duckduckgo = {
+  name: 'duckduckgo',
+  resultsSelector: '#links',
+
+  // The no-JS endpoint; it paginates with s= in steps of 30 results (dc= is the next rank)
+  buildSearchUrl({ query, page = 1, hl, gl }) {
+    const params = new URLSearchParams({ q: query });
+    if (gl || hl) params.set('kl', `${(gl || 'us').toLowerCase()}-${(hl || 'en').toLowerCase()}`);
+    if (page > 1) {
+      params.set('s', String((page - 1) * 30));
+      params.set('dc', String((page - 1) * 30 + 1));
+    }
+    return `https://html.duckduckgo.com/html/?${params}`;
+  },
+
+  goToNextPage(page) {
+    return clickNext(page, ['.nav-link input[type="submit"][value="Next"]', 'input.btn--alt[value="Next"]', 'a.result--more__btn'], this.resultsSelector);
+  },
+
+  async isConsentPage() {
+    return false;
+  },
+
+  async acceptConsent() {
+    return false;
+  },
+
+  async isBlocked(page) {
+    return Boolean(await page.$('.anomaly-modal__title, form#challenge-form, iframe[src*="recaptcha"]'));
+  },
+
+  resultSelectors: {
+    link: '#links a.result__a',
+    title: 'a.result__a',
+    block: '.result',
+    snippet: '.result__snippet',
+  },
+
+  collectResults(page) {
+    return resultBlocks(page, this.resultSelectors, { hostPattern: /(^|\.)duckduckgo\.com$/i, unwrap: unwrapDuckDuckGo });
+  },
+};
+
+const ENGINES = { google, bing, duckduckgo, ddg: duckduckgo };
+
+export function getEngine(name = 'google') {
+  const engine = ENGINES[String(name || 'google').trim().toLowerCase()];
+  if (!engine) throw new Error(`Unknown search engine "${name}". Available: ${Object.keys(ENGINES).join(', ')}`);
+  return engine;
+}
+
+export function engineNames() {
+  return Object.keys(ENGINES);
+}
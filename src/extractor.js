@@ -0,0 +1,128 @@
+// extractor.js
+// Email extraction from a page: visible text plus the DOM (mailto: links, attributes, JSON-LD)
+// with decoders for common obfuscation schemes. Every address is reported with the technique
+// that found it:
+//   text            plain address in the rendered text
+//   mailto          mailto: href
+//   attribute       other attribute values (data-*, title, content, ...)
+//   json_ld         schema.org JSON-LD blocks
+//   cfemail         Cloudflare email protection (data-cfemail / #hex links)
+//   entity          HTML-entity or percent-encoded address in the page source
+//   obfuscated_text `info [at] acme [dot] com`, `info(at)acme.com` and similar
+
+const EMAIL_RE = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// Order in which techniques are credited when one address is found several ways
+const PRIORITY = ['text', 'mailto', 'json_ld', 'attribute', 'cfemail', 'entity', 'obfuscated_text'];
+
+function matchEmails(s) {
+  return (String(s || '').match(EMAIL_RE) || []).map(e => e.toLowerCase());
+}
+
+// Cloudflare: first byte is the XOR key for the remaining hex-encoded bytes
+export function decodeCfEmail(hex) {
+  const h = String(hex || '').trim();
+  if (!/^[0-9a-f]+$/i.test(h) || h.length < 4 || h.length % 2) return null;
+  const key = parseInt(h.slice(0, 2), 16);
+  let out = '';
+  for (let i = 2; i < h.length; i += 2) out += String.fromCharCode(parseInt(h.slice(i, i + 2), 16) ^ key);
+  return out;
+}
+
+const NAMED_ENTITIES = { commat: '@', period: '.', amp: '&', nbsp: ' ', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export function decodeEntities(s) {
+  return String(s || '')
+    .replace(/&#x([0-9a-f]+);?/gi, (m, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);?/g, (m, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&([a-z]+);/gi, (m, n) => NAMED_ENTITIES[n.toLowerCase()] ?? m);
+}
+
+function decodePercent(s) {
+  return String(s || '').replace(/%([0-9a-f]{2})/gi, (m, h) => String.fromCharCode(parseInt(h, 16)));
+}
+
+// `info [at] acme [dot] com`, `info(at)acme(dot)com`, `info {at} acme.com`, `info AT acme DOT com`
+// Bare words only in upper case, so prose like "find us at acme.com" is not picked up
+const AT = String.raw`\s*(?:[\[({<]\s*(?:at|AT|@)\s*[\])}>]|\sAT\s)\s*`;
+const DOT = String.raw`\s*(?:[\[({<]\s*(?:dot|DOT|\.)\s*[\])}>]|\sDOT\s|\.)\s*`;
+const OBFUSCATED_RE = new RegExp(String.raw`([a-zA-Z0-9._%+-]+)${AT}([a-zA-Z0-9-]+(?:${DOT}[a-zA-Z0-9-]+)*${DOT}[a-zA-Z]{2,})\b`, 'g');
+
+export function decodeObfuscatedText(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(OBFUSCATED_RE)) {
+    const domain = m[2].split(new RegExp(DOT)).join('.');
+    out.push(`${m[1]}@${domain}`.toLowerCase());
+  }
+  return out;
+}
+
+// Raw material gathered inside the page; decoding happens in Node
+export async function collectPageSources(page) {
+  return page.evaluate(() => {
+    const body = document.body;
+    const mailtos = [], attrs = [], cfemails = [], jsonld = [];
+    for (const el of document.querySelectorAll('*')) {
+      for (const a of el.attributes || []) {
+        const v = a.value;
+        if (!v || v.length > 2000) continue;
+        if (a.name === 'data-cfemail') cfemails.push(v);
+        else if (a.name === 'href' && /^mailto:/i.test(v)) mailtos.push(v);
+        else if (a.name === 'href' && /\/cdn-cgi\/l\/email-protection#/i.test(v)) cfemails.push(v.split('#')[1]);
+        else if (/@|%40|&#0*64;|&#x0*40;/i.test(v)) attrs.push(v);
+      }
+    }
+    for (const s of document.querySelectorAll('script[type="application/ld+json"]')) jsonld.push(s.textContent || '');
+    return {
+      text: body ? body.innerText : '',
+      html: document.documentElement ? document.documentElement.outerHTML : '',
+      mailtos,
+      attrs,
+      cfemails,
+      jsonld,
+    };
+  });
+}
+
+// Pull every string value out of JSON-LD (email, contactPoint.email, ...)
+function jsonStrings(value, out = []) {
+  if (typeof value === 'string') out.push(value);
+  else if (Array.isArray(value)) value.forEach(v => jsonStrings(v, out));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => jsonStrings(v, out));
+  return out;
+}
+
+// [{ email, technique }] from collected sources, one entry per address
+export function extractFromSources(src) {
+  const found = new Map();
+  const add = (emails, technique) => {
+    for (const e of emails) {
+      const prev = found.get(e);
+      if (!prev || PRIORITY.indexOf(technique) < PRIORITY.indexOf(prev)) found.set(e, technique);
+    }
+  };
+
+  add(matchEmails(src.text), 'text');
+  for (const m of src.mailtos || []) {
+    // mailto:a@b.com?subject=..., possibly percent- or entity-encoded, possibly several recipients
+    add(matchEmails(decodePercent(decodeEntities(m.replace(/^mailto:/i, '').split('?')[0]))), 'mailto');
+  }
+  for (const block of src.jsonld || []) {
+    try { add(matchEmails(jsonStrings(JSON.parse(block)).join(' ')), 'json_ld'); } catch { add(matchEmails(block), 'json_ld'); }
+  }
+  for (const v of src.attrs || []) add(matchEmails(decodePercent(decodeEntities(v))), 'attribute');
+  for (const hex of src.cfemails || []) add(matchEmails(decodeCfEmail(hex)), 'cfemail');
+  // Addresses that only appear once entities / percent-escapes in the source are decoded
+  const html = src.html || '';
+  if (/&#|&commat;|%40/i.test(html)) {
+    const plain = new Set(matchEmails(html));
+    add(matchEmails(decodePercent(decodeEntities(html))).filter(e => !plain.has(e)), 'entity');
+  }
+  add(decodeObfuscatedText(src.text), 'obfuscated_text');
+
+  return [...found].map(([email, technique]) => ({ email, technique }));
+}
+
+export async function extractEmails(page) {
+  return extractFromSources(await collectPageSources(page));
+}
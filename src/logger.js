@@ -0,0 +1,127 @@
+// logger.js
+// Leveled logger shared by every module. Each event carries the run id plus the browser, tab,
+// query and page of the code that logged it; that context follows async calls (AsyncLocalStorage),
+// so helpers such as the captcha solver don't have to pass it around.
+//   format 'pretty'  one readable line per event: time, level, [B<browser>/T<tab> p<page>], message
+//   format 'json'    one JSON object per line: { ts, level, runId, browser, tab, query, page, msg }
+// An optional log file always gets JSON lines and rotates by size (file, file.1, ... file.<keep>).
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+export const FORMATS = ['pretty', 'json'];
+
+const CONTEXT_FIELDS = ['browser', 'tab', 'query', 'page'];
+const storage = new AsyncLocalStorage();
+
+const settings = {
+  level: 'info',
+  format: 'pretty',
+  runId: newRunId(),
+  file: null,
+  consoleHook: null,
+};
+
+function newRunId() {
+  return `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Size-rotated JSON-lines file; written synchronously so nothing is lost on exit
+function createRotatingFile(file, { maxBytes, keep }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  let fd = fs.openSync(file, 'a');
+  let size = fs.fstatSync(fd).size;
+
+  function rotate() {
+    fs.closeSync(fd);
+    for (let i = keep - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    fs.renameSync(file, `${file}.1`);
+    fd = fs.openSync(file, 'a');
+    size = 0;
+  }
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.writeSync(fd, line);
+      size += bytes;
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+export function configureLogger({ level = 'info', format = 'pretty', file = '', fileMaxBytes = 10 * 1024 * 1024, fileKeep = 5 } = {}) {
+  settings.level = LEVELS.includes(level) ? level : 'info';
+  settings.format = FORMATS.includes(format) ? format : 'pretty';
+  settings.file?.close();
+  settings.file = file ? createRotatingFile(file, { maxBytes: fileMaxBytes, keep: Math.max(1, fileKeep) }) : null;
+  return settings.runId;
+}
+
+export function getRunId() {
+  return settings.runId;
+}
+
+// Route console lines to `hook(line, level)` instead of stdout/stderr (null to restore), e.g.
+// while the progress dashboard owns the terminal. The log file is unaffected.
+export function setConsoleHook(hook) {
+  settings.consoleHook = hook || null;
+}
+
+// Run `fn` with extra context fields (nested calls inherit and extend the outer context)
+export function withLogContext(fields, fn) {
+  return storage.run({ ...(storage.getStore() || {}), ...fields }, fn);
+}
+
+// Update the current context in place, e.g. the page number as a query paginates
+export function setLogContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function contextLabel(ctx) {
+  const browser = typeof ctx.browser === 'number' ? `B${ctx.browser}` : ctx.browser;
+  const who = [browser, ctx.tab != null ? `T${ctx.tab}` : null].filter(v => v != null).join('/');
+  const where = ctx.page != null ? `p${ctx.page}` : '';
+  const label = [who, where].filter(Boolean).join(' ');
+  return label ? `[${label}] ` : '';
+}
+
+function emit(level, args) {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) return;
+  const ctx = storage.getStore() || {};
+  const msg = util.format(...args);
+  const ts = new Date().toISOString();
+  const event = { ts, level, runId: settings.runId };
+  for (const k of CONTEXT_FIELDS) if (ctx[k] != null) event[k] = ctx[k];
+  event.msg = msg;
+  const json = JSON.stringify(event) + '\n';
+
+  const line = settings.format === 'json' ? json : `${ts.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${contextLabel(ctx)}${msg}\n`;
+  if (settings.consoleHook) settings.consoleHook(line, level);
+  else if (settings.format === 'json' || (level !== 'warn' && level !== 'error')) process.stdout.write(line);
+  else process.stderr.write(line);
+  if (settings.file) {
+    try {
+      settings.file.write(json);
+    } catch (err) {
+      settings.file = null;
+      process.stderr.write(`Log file write failed, file logging disabled: ${err?.message || err}\n`);
+    }
+  }
+}
+
+export const log = {
+  debug: (...args) => emit('debug', args),
+  info: (...args) => emit('info', args),
+  warn: (...args) => emit('warn', args),
+  error: (...args) => emit('error', args),
+};
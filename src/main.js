@@ -4,671 +4,1101 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import csv from 'csv-parser';
-import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
-import fetchPkg from 'node-fetch';
-// NopeCHA SDK (official client)
-import * as NopechaPkg from 'nopecha';
 import { solveRecaptchaIfPresent } from './solver.js';
+import { detectRecaptcha, submitRecaptchaToken, waitForUnblock } from './recaptcha.js';
+import { createCaptchaProvider } from './captcha-providers.js';
+import { createCaptchaAccounting } from './captcha-accounting.js';
+import { createCheckpointStore, STATUS } from './checkpoint.js';
+import { createDedupeIndex } from './dedupe.js';
+import { createCrawler } from './crawler.js';
+import { createQueryQueue } from './scheduler.js';
+import { createPacer } from './pacing.js';
+import { createProgressView } from './progress.js';
+import { createControlServer, httpError } from './control.js';
+import { getEngine } from './engines.js';
+import { loadProxies, createProxyPool, toPlaywrightProxy } from './proxies.js';
+import { loadProfiles, createProfileRotator, toContextOptions } from './profiles.js';
+import { createValidator } from './validation.js';
+import { extractEmails } from './extractor.js';
+import { readOutputRows, findCsvError } from './csv.js';
+import { createOutput, createCsvSink, createJsonlSink, createSqliteSink, createSupabaseSink, parseColumnMap } from './sinks.js';
+import { loadTemplateQueries } from './templates.js';
+import { createRunReport, STOP_REASONS } from './report.js';
+import { getConfig } from './config.js';
+import { log, configureLogger, getRunId, withLogContext, setLogContext } from './logger.js';
+
+// Config: defaults < env < config file < flags, validated in config.js
+const config = getConfig();
+const INPUT_FILE = config.inputFile;
+const OUTPUT_FILE = config.outputFile;
+const CHECKPOINT_FILE = config.checkpointFile;
+const REPORT_FILE = config.reportFile;
+const RESUME = config.resume;
+const PREVIEW = config.preview;
+
+// Leveled logging (pretty or JSON lines), optionally also to a size-rotated JSON-lines file
+configureLogger({
+  level: config.logLevel,
+  format: config.logFormat,
+  file: config.logFile,
+  fileMaxBytes: config.logFileMaxMb * 1024 * 1024,
+  fileKeep: config.logFileKeep,
+});
+// Query templates: `{service} in [{city}] ...` expanded over lists (see README)
+const QUERY_TEMPLATE = config.queryTemplate;
+const TEMPLATE_FILE = config.templateFile;
+const TEMPLATE_LISTS = config.templateLists;
+const TEMPLATE_LIST_FILES = config.templateListFiles;
+const DEDUPE_FILE = config.dedupeFile;
+const DEDUPE_SEED_SUPABASE = config.dedupeSeedSupabase;
+// Default search engine (google, bing, duckduckgo); an `engine` input column overrides it per query
+const SEARCH_ENGINE = config.searchEngine;
+// Proxy pool: PROXY_FILE (one per line) and/or PROXIES (comma-separated)
+const PROXY_FILE = config.proxyFile;
+const PROXIES = config.proxies.join(',');
+const PROXY_MIN_SCORE = config.proxyMinScore;
+const PROXY_MIN_SAMPLES = config.proxyMinSamples;
+const PROXY_COOLDOWN_SEC = config.proxyCooldownSec;
+// Context fingerprints: JSON array in PROFILES_FILE (built-in list otherwise), rotated per context
+const PROFILES_FILE = config.profilesFile;
+const PROFILE_ROTATION = config.profileRotation;
+// Adaptive pacing: base delay between page loads (plus up to 100% jitter), its ceiling, and the
+// block rate (captcha / sorry pages) over the last PACE_WINDOW pages that slows a browser down or pauses it
+const PACE_BASE_DELAY_MS = config.paceBaseDelayMs;
+const PACE_MAX_DELAY_MS = config.paceMaxDelayMs;
+const PACE_WINDOW = config.paceWindow;
+const PACE_MIN_SAMPLES = config.paceMinSamples;
+const PACE_SLOW_RATE = config.paceSlowRate;
+const PACE_PAUSE_RATE = config.pacePauseRate;
+const PACE_PAUSE_SEC = config.pacePauseSec;
+// Email validation: optional MX lookup, through specific DNS servers if given (host[:port])
+const VALIDATE_MX = config.validateMx;
+const MX_DNS_SERVERS = config.mxDnsServers;
+const MX_TIMEOUT_MS = config.mxTimeoutMs;
+const DEEP_CRAWL = config.deepCrawl;
+const DEEP_CRAWL_DEPTH = config.deepCrawlDepth;
+const DEEP_CRAWL_WORKERS = config.deepCrawlWorkers;
+const DEEP_CRAWL_MAX_RESULTS = config.deepCrawlMaxResults;
+const HEADLESS = config.headless;
+const BROWSERS = config.browsers;
+const TABS_PER_BROWSER = config.tabsPerBrowser;
+// Per-query stop rules (defaults; input columns override per query). Unset = no limit.
+const MAX_PAGES = config.maxPages;
+const MAX_EMPTY_PAGES = config.maxEmptyPages;
+const QUERY_TIME_BUDGET_SEC = config.queryTimeBudgetSec;
+const TARGET_EMAILS = config.targetEmails;
+const SUPABASE_URL = config.supabaseUrl;
+const SUPABASE_KEY = config.supabaseKey;
+const SUPABASE_TABLE = config.supabaseTable;
+// Output sinks: csv, jsonl, sqlite, supabase (used only when configured)
+const OUTPUT_SINKS = config.outputSinks;
+const JSONL_FILE = config.jsonlFile;
+const SQLITE_FILE = config.sqliteFile;
+const SINK_BATCH_SIZE = config.sinkBatchSize;
+const SINK_FLUSH_MS = config.sinkFlushMs;
+// Supabase writes: table column <- output field mapping, upsert key ('none' for plain inserts),
+// batch size, retries with exponential backoff, and the spool for rows that still fail
+const SUPABASE_COLUMNS = parseColumnMap(config.supabaseColumns);
+const SUPABASE_UPSERT_KEY = /^none$/i.test(config.supabaseUpsertKey) ? '' : config.supabaseUpsertKey;
+const SUPABASE_BATCH_SIZE = config.supabaseBatchSize;
+const SUPABASE_RETRIES = config.supabaseRetries;
+const SUPABASE_RETRY_BASE_MS = config.supabaseRetryBaseMs;
+const SUPABASE_SPOOL_FILE = config.supabaseSpoolFile;
+// Captcha solving: provider (nopecha, 2captcha, mock, none), its key / API URL, and the opt-in token flow
+const CAPTCHA_PROVIDER = config.captchaProvider;
+const CAPTCHA_API_KEY = config.captchaApiKey || (CAPTCHA_PROVIDER === 'nopecha' ? config.nopechaKey : '');
+const CAPTCHA_API_URL = config.captchaApiUrl;
+const CAPTCHA_TIMEOUT_SEC = config.captchaTimeoutSec;
+const CAPTCHA_USE_TOKEN = config.captchaUseToken;
+const NOPECHA_EXTENSION_PATH = config.nopechaExtensionPath;
+// Headful runs: a tab the solver could not clear waits for a human instead of counting a failure
+const CAPTCHA_MANUAL = config.captchaManual && !HEADLESS;
+const CAPTCHA_MANUAL_TIMEOUT_SEC = config.captchaManualTimeoutSec;
+// Estimated spend per call, the budget (0 = none) and what happens when it runs out
+const CAPTCHA_COST_RECOGNITION = config.captchaCostRecognition;
+const CAPTCHA_COST_TOKEN = config.captchaCostToken;
+const CAPTCHA_BUDGET = config.captchaBudget;
+const CAPTCHA_BUDGET_ACTION = config.captchaBudgetAction;
+const CAPTCHA_MIN_BALANCE = config.captchaMinBalance;
+const CAPTCHA_BALANCE_CHECK_SEC = config.captchaBalanceCheckSec;
+// Live progress: dashboard (toggle with logs on a terminal), logs, or off; one-line summaries when not a TTY
+const PROGRESS = config.progress;
+const PROGRESS_INTERVAL_SEC = config.progressIntervalSec;
+// Local HTTP control API (off unless CONTROL_PORT is set); CONTROL_WAIT keeps idle tabs waiting for new queries
+const CONTROL_PORT = config.controlPort;
+const CONTROL_HOST = config.controlHost;
+const CONTROL_TOKEN = config.controlToken;
+const CONTROL_WAIT = config.controlWait && CONTROL_PORT > 0;
+
+// Captcha-solver provider (null when solving is off)
+const captchaProvider = createCaptchaProvider(CAPTCHA_PROVIDER, { apiKey: CAPTCHA_API_KEY, apiUrl: CAPTCHA_API_URL, timeoutSec: CAPTCHA_TIMEOUT_SEC });
+
+// Calls, spend and solve rate per provider / query / browser; enforces the captcha budget
+const captchaAccounting = createCaptchaAccounting({
+  provider: captchaProvider,
+  costs: { recognition: CAPTCHA_COST_RECOGNITION, token: CAPTCHA_COST_TOKEN },
+  budget: CAPTCHA_BUDGET,
+  minBalance: CAPTCHA_MIN_BALANCE,
+  action: CAPTCHA_BUDGET_ACTION,
+  balanceCheckMs: CAPTCHA_BALANCE_CHECK_SEC * 1000,
+});
+
+// Startup check of the provider's key and balance, then periodic balance re-checks
+async function checkCaptchaProvider() {
+  if (!captchaProvider) {
+    log.info('🧩 Captcha solving is off.');
+    return;
+  }
+  await captchaAccounting.checkBalance();
+  captchaAccounting.start();
+  if (CAPTCHA_BUDGET) log.info(`💸 Captcha budget: ${CAPTCHA_BUDGET} (then ${CAPTCHA_BUDGET_ACTION === 'stop' ? 'stop the run' : 'stop solving'})`);
+}
 
-// Resolve project root
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT_DIR = path.resolve(__dirname, '..');
+// Query progress checkpoint (fresh unless started with --resume)
+const checkpoint = createCheckpointStore(CHECKPOINT_FILE, { resume: RESUME });
 
-// Load env
-dotenv.config({ path: path.join(ROOT_DIR, '.env') });
+// Email dedupe index shared by all tabs and browsers (seeded at startup)
+const dedupe = createDedupeIndex({ file: DEDUPE_FILE });
 
-// Config
-const INPUT_FILE = path.join(ROOT_DIR, 'src', 'input.csv');
-const OUTPUT_FILE = path.join(ROOT_DIR, 'output.csv');
-const HEADLESS = process.env.HEADLESS === 'true';
-function toInt(v, def) { const n = parseInt(v, 10); return Number.isFinite(n) && n > 0 ? n : def; }
-const BROWSERS = toInt(process.env.BROWSERS);
-const TABS_PER_BROWSER = toInt(process.env.TABS_PER_BROWSER);
-const CONCURRENCY = toInt(process.env.CONCURRENCY, BROWSERS * TABS_PER_BROWSER);
-const SUPABASE_URL = process.env.SUPABASE_URL || '';
-const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY || '';
-const SUPABASE_TABLE = process.env.SUPABASE_TABLE || 'email_table';
-// Prefer official env name per docs
-const NOPECHA_API_KEY = process.env.NOPECHA_KEY || process.env.NOPECHA_API_KEY || '';
-const NOPECHA_EXTENSION_PATH = process.env.NOPECHA_EXTENSION_PATH || '';
-const NOPECHA_USE_TOKEN = String(process.env.NOPECHA_USE_TOKEN || 'false').toLowerCase() === 'true';
-
-// node-fetch compatibility: prefer global fetch if available (Node 18+), fall back
-const fetch = (typeof globalThis.fetch === 'function') ? globalThis.fetch : (fetchPkg && fetchPkg.default ? fetchPkg.default : fetchPkg);
-
-// Initialize NopeCHA SDK (best-effort per official docs)
-let nopecha = null; // REST client via SDK for account status/balance
-let NopechaHelper = null; // any helper methods exposed by package versions
-try {
-  const { Configuration, NopeCHAApi } = NopechaPkg?.default || NopechaPkg || {};
-  if (NOPECHA_API_KEY && Configuration && NopeCHAApi) {
-    const configuration = new Configuration({ apiKey: NOPECHA_API_KEY });
-    nopecha = new NopeCHAApi(configuration);
-  }
-  NopechaHelper = (NopechaPkg && (NopechaPkg.default || NopechaPkg)) || null;
-  try {
-    if (NopechaHelper && typeof NopechaHelper.setApiKey === 'function' && NOPECHA_API_KEY) {
-      NopechaHelper.setApiKey(NOPECHA_API_KEY);
-    }
-  } catch { }
-} catch (err) {
-  console.warn('⚠️ Could not init NopeCHA SDK:', err?.message || err);
-}
+// Supabase client (only if both url + key present)
+const supabase = (SUPABASE_URL && SUPABASE_KEY) ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
 
-// Verify NopeCHA key/balance using official client, fallback to REST status
-async function verifyNopechaStatus() {
-  if (!NOPECHA_API_KEY) {
-    console.error('NOPECHA_KEY not set in .env');
-    return { ok: false };
-  }
-  // Warn if key looks like a Stripe sub id
-  // if (/^sub_/i.test(NOPECHA_API_KEY)) {
-  //   console.warn(' The value in NOPECHA_KEY looks like a Stripe subscription id (sub_...). You must use the NopeCHA API key from the NopeCHA dashboard.');
-  // }
-  try {
-    if (nopecha && typeof nopecha.getBalance === 'function') {
-      const balance = await nopecha.getBalance();
-      // to check the structure of balance 
-      console.log('NopeCHA balance:', balance);
-      return { ok: true, balance };
-    }
-  } catch (e) {
-    console.warn(' NopeCHA SDK getBalance failed, will try REST /status:', e?.message || e);
-  }
-  // Fallback to REST status endpoint per docs
-  try {
-    const url = `https://api.nopecha.com/status?key=${encodeURIComponent(NOPECHA_API_KEY)}`;
-    const res = await fetch(url, { method: 'GET' });
-    const txt = await res.text().catch(() => '');
-    let data = {};
-    try { data = JSON.parse(txt || '{}'); } catch { }
-    if (!res.ok) {
-      console.warn(' NopeCHA /status error:', res.status, txt.slice(0, 200));
-      return { ok: false, status: data };
+// Output columns; source_url is the exact page an email was found on, hl / gl / max_pages are the
+// query's own settings, and the result context columns tie an email to the organic result (or the crawled result page) it came from
+const RESULT_COLUMNS = ['result_url', 'result_domain', 'result_title', 'result_snippet', 'serp_page', 'serp_position'];
+const OUTPUT_COLUMNS = ['email', 'query', 'timestamp', 'source_url', 'tag', 'hl', 'gl', 'max_pages', 'extraction_method', 'validation_status', 'validation_reason', ...RESULT_COLUMNS];
+
+// Output sinks: rows are buffered and flushed in batches to every enabled sink
+function buildSinks() {
+  const sinks = [];
+  for (const name of OUTPUT_SINKS) {
+    if (name === 'csv') sinks.push(createCsvSink({ file: OUTPUT_FILE, columns: OUTPUT_COLUMNS }));
+    else if (name === 'jsonl') sinks.push(createJsonlSink({ file: JSONL_FILE, columns: OUTPUT_COLUMNS }));
+    else if (name === 'sqlite') {
+      sinks.push(createSqliteSink({
+        file: SQLITE_FILE,
+        columns: OUTPUT_COLUMNS,
+        integerColumns: ['max_pages', 'serp_page', 'serp_position'],
+        indexes: ['email', 'query', 'tag', 'timestamp', 'validation_status', 'result_domain'],
+      }));
+    } else if (name === 'supabase') {
+      if (supabase) {
+        sinks.push(createSupabaseSink({
+          client: supabase,
+          table: SUPABASE_TABLE,
+          columns: SUPABASE_COLUMNS,
+          onConflict: SUPABASE_UPSERT_KEY,
+          batchSize: SUPABASE_BATCH_SIZE,
+          retries: SUPABASE_RETRIES,
+          backoffMs: SUPABASE_RETRY_BASE_MS,
+          spoolFile: SUPABASE_SPOOL_FILE,
+        }));
+      }
+    } else {
+      throw new Error(`Unknown output sink "${name}" in OUTPUT_SINKS (use csv, jsonl, sqlite, supabase)`);
     }
-    console.log('NopeCHA status:', data);
-    return { ok: true, status: data };
-  } catch (e) {
-    console.warn('NopeCHA /status request failed:', e?.message || e);
-    return { ok: false };
   }
+  return sinks;
 }
 
-// Supabase client (only if both url + key present)
-const supabase = (SUPABASE_URL && SUPABASE_KEY) ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
+let output = null;
+
+// Control API server (started in run() when CONTROL_PORT is set)
+let control = null;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+function toInt(v, def) { const n = parseInt(v, 10); return Number.isFinite(n) && n > 0 ? n : def; }
 
-// Email regex
-const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-
-// Ensure CSV header
-try {
-  if (!fs.existsSync(OUTPUT_FILE)) {
-    fs.writeFileSync(OUTPUT_FILE, 'email,query,timestamp\n', 'utf-8');
-  } else {
-    const firstLine = fs.readFileSync(OUTPUT_FILE, 'utf-8').split(/\r?\n/)[0] || '';
-    if (firstLine.trim() !== 'email,query,timestamp') {
-      const backup = OUTPUT_FILE.replace(/\.csv$/i, `.backup-${Date.now()}.csv`);
-      fs.copyFileSync(OUTPUT_FILE, backup);
-      fs.writeFileSync(OUTPUT_FILE, 'email,query,timestamp\n', 'utf-8');
-      console.log(`ℹ️ Existing output had old header. Backed up to ${backup}`);
+// Normalize one input row into a query job; extra columns are optional per-query options
+function toQueryJob(row) {
+  const get = (...names) => {
+    for (const n of names) {
+      const v = row[n];
+      if (v != null && String(v).trim()) return String(v).trim();
     }
-  }
-} catch (err) {
-  console.error('🚨 Could not initialize output CSV header:', err?.message || err);
-  process.exit(1);
+    return '';
+  };
+  const query = get('query', 'q', 'search');
+  if (!query) return null;
+  const priority = parseInt(get('priority'), 10);
+  return {
+    query,
+    maxPages: toInt(get('max_pages', 'maxPages'), MAX_PAGES),
+    maxEmptyPages: toInt(get('max_empty_pages'), MAX_EMPTY_PAGES),
+    timeBudgetSec: toInt(get('time_budget_sec', 'time_budget'), QUERY_TIME_BUDGET_SEC),
+    targetEmails: toInt(get('target_emails'), TARGET_EMAILS),
+    engine: get('engine') || SEARCH_ENGINE,
+    tag: get('tag', 'campaign'),
+    hl: get('hl') || 'en',
+    gl: get('gl'),
+    priority: Number.isFinite(priority) ? priority : 0,
+  };
 }
 
-// CSV helpers
-function escapeCsv(v = '') {
-  const s = String(v ?? '');
-  if (s.includes(',') || s.includes('"') || s.includes('\n')) {
-    return `"${s.replace(/"/g, '""')}"`;
-  }
-  return s;
+// Read queries from CSV (RFC 4180). Header names: query|q|search plus optional
+// max_pages, max_empty_pages, time_budget_sec, target_emails, engine, tag|campaign, hl, gl, priority. A file without a header is read as one query per row.
+// Files in the older one-query-per-line format (bare quotes inside queries) are read line by line
+// when they have a single column; with more columns a malformed line is an error.
+function readCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(filePath)) return resolve([]);
+    const text = fs.readFileSync(filePath, 'utf-8');
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const hasHeader = /^\s*"?(query|q|search)"?\s*(,|$)/i.test(firstLine);
+    const bad = findCsvError(text);
+    if (bad) {
+      if (hasHeader && firstLine.includes(',')) {
+        return reject(new Error(`${filePath} line ${bad.line} is not valid CSV (${bad.reason}). Quote such fields and double the quotes inside them ("").`));
+      }
+      log.warn(`⚠️ ${filePath} line ${bad.line} is not valid CSV (${bad.reason}); reading the file as one query per line. Quote queries and double their inner quotes ("") to use CSV columns.`);
+      const lines = text.split(/\r?\n/).slice(hasHeader ? 1 : 0).map(l => l.trim()).filter(Boolean);
+      return resolve(lines.map(query => toQueryJob({ query })));
+    }
+    const results = [];
+    fs.createReadStream(filePath)
+      .pipe(csv(hasHeader ? { mapHeaders: ({ header }) => header.trim().toLowerCase() } : { headers: ['query'] }))
+      .on('data', (row) => {
+        const job = toQueryJob(row);
+        if (job) results.push(job);
+      })
+      .on('end', () => resolve(results))
+      .on('error', (err) => {
+        log.error('❌ Error reading CSV:', err.message);
+        resolve([]);
+      });
+  });
 }
 
-function appendToCSV(rows) {
-  if (!rows || rows.length === 0) return;
-  const content = rows.map(r => `${escapeCsv(r.email)},${escapeCsv(r.query)},${escapeCsv(r.timestamp)}`).join('\n') + '\n';
+
+// Email extraction
+// Returns [{ email, technique }]; text, DOM and obfuscated forms are handled in extractor.js.
+// Junk filtering happens in the validation stage (recordEmails), not here.
+async function extractEmailsFromPage(page) {
   try {
-    fs.appendFileSync(OUTPUT_FILE, content, 'utf-8');
+    return await extractEmails(page);
   } catch (err) {
-    console.error('🚨 Failed to append to CSV:', err?.message || err);
+    log.warn('⚠️ extractEmailsFromPage failed:', err?.message || err);
+    return [];
   }
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// Leave a sorry page through its continue= URL; true if there was one
+async function followContinueUrl(page, url) {
+  const cont = extractContinueUrl(url);
+  if (!cont) return false;
+  await page.goto(cont, { waitUntil: 'domcontentloaded' }).catch(() => { });
+  await page.waitForTimeout(600);
+  return true;
+}
 
-// Read queries from CSV - robust with header name fallback
-// function readCSV(filePath) {
-//   return new Promise((resolve, reject) => {
-//     const results = [];
-//     if (!fs.existsSync(filePath)) return resolve([]);
-//     fs.createReadStream(filePath)
-//       .pipe(csv())
-//       .on('data', (data) => {
-//         const q = data.query ?? data.q ?? data['search'] ?? '';
-//         if (q && String(q).trim()) results.push(String(q).trim());
-//       })
-//       .on('end', () => resolve(results))
-//       .on('error', reject);
-//   });
-// }
-
-// ✅ Safe, header-tolerant CSV reader
-function readCSV(filePath) {
-  return new Promise((resolve) => {
-    try {
-      if (!fs.existsSync(filePath)) return resolve([]);
+// Returns { present, solved, consent? }. Consent screens and block detection come from the engine
+// adapter; solving goes through the configured captcha provider:
+//   1. frame-based image challenge (provider recognition), then the sorry form is submitted
+//   2. token flow (provider token API, opt-in with CAPTCHA_USE_TOKEN) for v2, invisible, v3 and
+//      Enterprise widgets, passing Google's data-s value along
+//   3. otherwise the sorry page's continue= URL, if any
+// `solved` is only reported once the engine no longer sees a block page.
+// `ctx` ({ query, browser }) attributes provider calls in the captcha accounting.
+async function maybeHandleCaptcha(page, engine = getEngine('google'), ctx = {}) {
+  try {
+    const url = page.url();
 
-      const text = fs.readFileSync(filePath, 'utf8');
-      const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    // quick consent accept
+    if (await engine.isConsentPage(page)) {
+      const accepted = await engine.acceptConsent(page);
+      if (accepted) return { present: true, solved: true, consent: true };
+    }
+
+    if (!(await engine.isBlocked(page))) return { present: false, solved: false };
+    const provider = captchaAccounting.wrap(ctx);
+    const info = await detectRecaptcha(page);
 
-      // detect and skip header
-      if (lines.length && /^(query|q|search)/i.test(lines[0])) {
-        lines.shift();
+    if (await solveRecaptchaIfPresent(page, { provider })) {
+      // The widget callback normally submits the sorry form; submit it ourselves if it did not
+      if (!(await waitForUnblock(page, engine, { timeout: 5000 }))) {
+        if (!(await submitRecaptchaToken(page, null, { callback: info?.callback }))) await followContinueUrl(page, url).catch(() => { });
       }
+      return { present: true, solved: await waitForUnblock(page, engine) };
+    }
 
-      const results = lines.map(line => {
-        // remove extra commas or quotes
-        return line.replace(/^["']|["']$/g, '').trim();
-      });
+    // If extension path provided, give extension a small chance to act (best-effort)
+    if (!info && NOPECHA_EXTENSION_PATH && fs.existsSync(NOPECHA_EXTENSION_PATH)) {
+      log.info('🧩 CAPTCHA detected. NopeCHA extension path provided — giving extension a short moment to act.');
+      await page.waitForTimeout(4000);
+      // we can't detect success reliably, so mark as present but not solved
+      return { present: true, solved: false };
+    }
+
+    if (!info || !provider || !CAPTCHA_USE_TOKEN) {
+      if (!info) log.warn('⚠️ CAPTCHA detected but no sitekey found; skipping automated token solve.');
+      if (await followContinueUrl(page, url).catch(() => false)) return { present: true, solved: await waitForUnblock(page, engine, { timeout: 3000 }) };
+      return { present: true, solved: false };
+    }
 
-      resolve(results);
+    const variant = `${info.enterprise ? 'Enterprise ' : ''}${info.type === 'recaptcha3' ? 'v3' : info.invisible ? 'invisible v2' : 'v2'}`;
+    let token = null;
+    try {
+      log.info(`🧩 Requesting reCAPTCHA ${variant} token from ${provider.name} for sitekey=${info.sitekey}${info.dataS ? ' (with data-s)' : ''}`);
+      token = await provider.token({
+        type: info.type, sitekey: info.sitekey, url, action: info.action || undefined,
+        enterprise: info.enterprise, invisible: info.invisible, dataS: info.dataS || undefined,
+      });
     } catch (err) {
-      console.error('❌ Error reading CSV:', err.message);
-      resolve([]);
+      log.warn(`⚠️ ${provider.name} token request failed:`, err?.message || err);
     }
-  });
-}
+    if (!token) return { present: true, solved: false };
 
+    log.info(`✅ reCAPTCHA token received (prefix): ${String(token).slice(0, 12)}...`);
+    const how = await submitRecaptchaToken(page, token, { callback: info.callback });
+    if (!how && !(await followContinueUrl(page, url).catch(() => false))) {
+      await page.reload({ waitUntil: 'domcontentloaded' }).catch(() => { });
+    }
 
-// Supabase insert (safe)
-async function saveToSupabase(rows) {
-  if (!supabase || !rows || rows.length === 0) return;
-  try {
-    const inserts = rows.map(r => ({ created_at: r.timestamp, email: r.email }));
-    const { error } = await supabase.from(SUPABASE_TABLE).insert(inserts);
-    if (error) console.error('❌ Supabase insert error:', error.message || error);
-    else console.log(`📦 Inserted ${inserts.length} rows to Supabase (${SUPABASE_TABLE})`);
+    const solved = await waitForUnblock(page, engine);
+    if (solved) log.info(`✅ Block page cleared (token submitted via ${how || 'continue URL'})`);
+    else log.warn(`⚠️ Still blocked after submitting the ${variant} token`);
+    return { present: true, solved };
   } catch (err) {
-    console.error('🚨 Supabase save failed:', err?.message || err);
+    log.warn('⚠️ maybeHandleCaptcha failed:', err?.message || err);
+    return { present: false, solved: false };
   }
 }
 
-// Email extraction
-async function extractEmailsFromPage(page) {
+// Tabs waiting for a manual solve: who -> deadline. The progress dashboard pins them, since the
+// log line asking for help would otherwise only scroll by under "Recent".
+const manualSolves = new Map();
+
+// Manual mode: bring the tab forward and poll until the block page is gone or the timeout passes
+// (CAPTCHA_MANUAL_TIMEOUT_SEC, or less when the query's time budget runs out first).
+// Only this tab waits; the other slots keep pulling queries.
+async function waitForManualSolve(page, engine, who, timeoutMs = CAPTCHA_MANUAL_TIMEOUT_SEC * 1000) {
+  const deadline = Date.now() + timeoutMs;
+  const waitSec = Math.round(timeoutMs / 1000);
+  manualSolves.set(who, deadline);
   try {
-    const text = await page.evaluate(() => document.body ? document.body.innerText : '');
-    return (text.match(EMAIL_REGEX) || [])
-      .map(e => e.toLowerCase())
-      .filter(e => !/(example\.com|example\.org|example\.net|noreply@|no-reply@)/.test(e));
-  } catch (err) {
-    console.warn('⚠️ extractEmailsFromPage failed:', err?.message || err);
-    return [];
-  }
-}
-
-// Google consent acceptance
-async function tryAcceptConsent(page) {
-  const locators = ['#L2AGLb', 'button[aria-label*="Agree" i]', 'button:has-text("I agree")', 'button:has-text("Accept all")'];
-  for (const sel of locators) {
-    try {
-      const el = await page.$(sel);
-      if (el) {
-        try {
-          await el.click();
-        } catch (e) {
-          try { await page.click(sel); } catch { }
+    await page.bringToFront().catch(() => { });
+    if (process.stdout.isTTY) process.stdout.write('\x07');
+    log.warn(`✋ [${who}] CAPTCHA needs a human: solve it in the browser window (waiting up to ${waitSec}s)`);
+    while (Date.now() < deadline) {
+      await page.waitForTimeout(2000);
+      try {
+        if (!(await engine.isBlocked(page))) {
+          await page.waitForLoadState('domcontentloaded').catch(() => { });
+          log.info(`👍 [${who}] CAPTCHA cleared, resuming`);
+          return true;
         }
-        await page.waitForTimeout(1000);
-        if (!/consent/i.test(page.url())) return true;
+      } catch {
+        // navigation in progress
       }
-    } catch (err) { /* ignore */ }
+    }
+    log.warn(`⌛ [${who}] No manual solve within ${waitSec}s`);
+    return false;
+  } finally {
+    manualSolves.delete(who);
   }
-  return false;
 }
 
-// Solve reCAPTCHA v2 token via NopeCHA Basic plan
-async function solveRecaptchaToken({ siteKey, pageUrl, maxRetries = 5 }) {
-  if (!NOPECHA_API_KEY) {
-    console.warn('⚠️ NOPECHA_API_KEY not set; cannot solve captcha via NopeCHA.');
+// Extract and decode the continue= parameter from Google's Sorry URL, if present
+function extractContinueUrl(u) {
+  try {
+    const url = new URL(u);
+    const cont = url.searchParams.get('continue');
+    if (!cont) return null;
+    return decodeURIComponent(cont);
+  } catch {
     return null;
   }
+}
 
-  // Only recaptcha2 is supported in Basic plan
-  const type = 'recaptcha2';
-  console.log(`🧩 Requesting NopeCHA token for sitekey=${siteKey}, type=${type}`);
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // Submit challenge to NopeCHA
-      const body = { key: NOPECHA_API_KEY, type, sitekey: siteKey, url: pageUrl };
-      const res = await fetch('https://api.nopecha.com/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
 
-      const data = await res.json().catch(() => ({}));
+// Validation stage between extraction and output
+const validator = createValidator({ checkMx: VALIDATE_MX, dnsServers: MX_DNS_SERVERS, timeoutMs: MX_TIMEOUT_MS });
 
-      if (data?.token) {
-        console.log(`✅ NopeCHA token received (attempt ${attempt}): ${String(data.token).slice(0, 12)}...`);
-        return data.token;
-      }
+// Output fields for a SERP result ({ url, domain, title, snippet, serpPage, position })
+function resultContext(r) {
+  if (!r) return {};
+  return {
+    result_url: r.url, result_domain: r.domain, result_title: r.title, result_snippet: r.snippet,
+    serp_page: r.serpPage, serp_position: r.position,
+  };
+}
 
-      const id = data?.id || data?.task || data?.data;
-      console.log(`ℹ️ NopeCHA task id (attempt ${attempt}): ${id}`);
-      if (!id) {
-        console.warn(`⚠️ NopeCHA returned no task id (attempt ${attempt}). Retrying...`);
-        await sleep(1500);
-        continue;
-      }
+// The result fields a queued crawl URL keeps in the checkpoint (no snippet or block text)
+function crawlResult(r) {
+  if (!r) return null;
+  const { url, domain, title, position, serpPage } = r;
+  return { url, domain, title, position, serpPage };
+}
 
-      // Poll for solution
-      for (let i = 0; i < 20; i++) {
-        await sleep(1500);
-        try {
-          const poll = await fetch(`https://api.nopecha.com?key=${encodeURIComponent(NOPECHA_API_KEY)}&id=${encodeURIComponent(id)}`);
-          const pollData = await poll.json().catch(() => ({}));
-          if (pollData?.token) return pollData.token;
-          if (pollData?.solution) return pollData.solution;
-          if (pollData?.data && typeof pollData.data === 'string') return pollData.data;
-        } catch { }
-      }
+// The organic result whose block on the SERP shows this address
+function findResultFor(email, results) {
+  return results.find(r => r.text.toLowerCase().includes(email)) || null;
+}
 
-      // quiet retry
-      await sleep(1500);
-    } catch (err) {
-      // quiet retry
-      await sleep(1500);
-    }
+// Emails seen this run (every sighting) and the ones written as new
+const emailTotals = { found: 0, unique: 0 };
+
+// Validate and write emails found on one page ([{ email, technique, result? }]). Every address is
+// written with its query's settings, extraction technique, validation status/reason and result
+// context (per email, else `result` for the whole page); only addresses never seen before by any query are written,
+// the rest are counted as sightings in the dedupe index.
+async function recordEmails(found, { query, tag = '', hl = '', gl = '', maxPages = null, sourceUrl, result = null }) {
+  if (!found.length) return;
+  const byEmail = new Map(found.map(f => [f.email, f]));
+  const checked = await validator.validateAll(found.map(f => f.email));
+  const unseen = checked.filter(v => dedupe.add(v.email, query));
+  emailTotals.found += checked.length;
+  emailTotals.unique += unseen.length;
+  if (unseen.length) {
+    const rows = unseen.map(v => {
+      const f = byEmail.get(v.input) || byEmail.get(v.email) || {};
+      return {
+        email: v.email, query, timestamp: new Date().toISOString(), source_url: sourceUrl, tag, hl, gl, max_pages: maxPages,
+        extraction_method: f.technique || '',
+        validation_status: v.status, validation_reason: v.reason,
+        ...resultContext(f.result || result),
+      };
+    });
+    output?.write(rows);
+    control?.publishEmails(rows);
+    const valid = rows.filter(r => r.validation_status === 'valid').length;
+    log.info(`✅ [${query}] ${unseen.length} new emails (${valid} valid) from ${sourceUrl}`);
+  }
+  if (checked.length > unseen.length) {
+    log.info(`♊ [${query}] ${checked.length - unseen.length} already-known emails skipped`);
   }
-
-  // give up
-  return null;
 }
 
+// Deep-crawl pool (created at startup when DEEP_CRAWL=true)
+let crawler = null;
 
+// Unique emails per query this run, from its result pages and from the deep crawl of its results;
+// target_emails counts both
+const queryEmails = new Map();
 
-// Poll GET https://api.nopecha.com?key=...&id=... until solved or timeout
-async function pollNopechaResult(id, timeoutMs = 45_000, interval = 1500) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    try {
-      const url = `https://api.nopecha.com?key=${encodeURIComponent(NOPECHA_API_KEY)}&id=${encodeURIComponent(id)}`;
-      const res = await fetch(url, { method: 'GET' });
-      const txt = await res.text().catch(() => '');
-      if (!res.ok) {
-        // if rate-limited, backoff
-        if (res.status === 429) await sleep(1000);
-      } else {
-        let data = {};
-        try { data = JSON.parse(txt || '{}'); } catch (e) { data = {}; }
-        // Many endpoints return { token: '...' } or { data: 'id' } or something similar
-        if (data?.token) return data.token;
-        if (data?.solution) return data.solution;
-        // For recognition endpoints, result could come back as data (string)
-        if (data?.data && typeof data.data === 'string' && data.data.length > 0) return data.data;
-      }
-    } catch (err) {
-      // ignore and continue
-    }
-    await sleep(interval);
-  }
-  console.warn('⚠️ pollNopechaResult: timed out waiting for solution');
-  return null;
+function emailsOf(query) {
+  if (!queryEmails.has(query)) queryEmails.set(query, new Set());
+  return queryEmails.get(query);
 }
 
-// Pagination - improved selector handling & small waits
-async function goToNextPage(page) {
-  const selectors = ['a#pnnext', 'a#pnnext span.oeN89d', 'a[aria-label="Next page"]', 'a[aria-label="Next"]'];
-  for (const sel of selectors) {
-    try {
-      const el = await page.$(sel);
-      if (el) {
-        await el.scrollIntoViewIfNeeded();
-        await page.waitForTimeout(500 + Math.random() * 500);
-        try { await el.click({ delay: 50 + Math.random() * 150 }); } catch { try { await page.click(sel); } catch { } }
-        try { await page.waitForSelector('div#search', { timeout: 15000 }); } catch { }
-        await page.waitForTimeout(1000 + Math.random() * 1000);
-        return true;
-      }
-    } catch (err) {
-      // ignore and try next selector
-    }
-  }
-  return false;
+// Time left of a query's wall-clock budget (Infinity without one)
+function timeLeftMs(job, startedAt) {
+  return job.timeBudgetSec ? job.timeBudgetSec * 1000 - (Date.now() - startedAt) : Infinity;
 }
 
-// Improved maybeHandleCaptcha: returns { present: bool, solved: bool }
-async function maybeHandleCaptcha(page) {
-  try {
-    const url = page.url();
+// Which stop rule (if any) ends the query after the current page
+function checkStopRules(job, { pageNum, emptyStreak, startedAt, emails }) {
+  if (job.targetEmails && emails >= job.targetEmails) return STOP_REASONS.TARGET_EMAILS;
+  if (job.maxPages && pageNum >= job.maxPages) return STOP_REASONS.MAX_PAGES;
+  if (job.maxEmptyPages && emptyStreak >= job.maxEmptyPages) return STOP_REASONS.NO_NEW_EMAILS;
+  if (job.timeBudgetSec && Date.now() - startedAt >= job.timeBudgetSec * 1000) return STOP_REASONS.TIME_BUDGET;
+  return null;
+}
 
-    // quick consent accept
-    if (/consent/i.test(url)) {
-      const accepted = await tryAcceptConsent(page);
-      if (accepted) return { present: true, solved: true };
-    }
+// Run report for this process (written at the end of the run)
+const report = createRunReport();
 
-    // detect common captcha indicators
-    if (/recaptcha|challenge|sorry/i.test(url) || await page.$('div.g-recaptcha') || await page.$('iframe[src*="recaptcha"]')) {
-      // We mark as present
-      // First attempt frame-based solver (does not require sitekey)
-      try {
-        const solvedSolverEarly = await solveRecaptchaIfPresent(page);
-        if (solvedSolverEarly) {
-          // If we're on a Google sorry page with a continue param, follow it
-          try {
-            const cont = extractContinueUrl(url);
-            if (cont) {
-              await page.goto(cont, { waitUntil: 'domcontentloaded' }).catch(() => { });
-              await page.waitForTimeout(600);
-            }
-          } catch { }
-          return { present: true, solved: true };
-        }
-      } catch { }
+// Browser context options: a fingerprint profile plus its own proxy from the pool (if configured)
+function contextOptions(profile, proxy) {
+  return {
+    ...toContextOptions(profile),
+    ...(proxy ? { proxy: toPlaywrightProxy(proxy) } : {}),
+  };
+}
 
-      let sitekey = null;
-      try {
-        sitekey = await page.evaluate(() => {
-          const els = [
-            ...Array.from(document.querySelectorAll('[data-sitekey]')),
-            ...Array.from(document.querySelectorAll('.g-recaptcha'))
-          ];
-          for (const el of els) {
-            const v = el.getAttribute('data-sitekey') || (el.dataset && el.dataset.sitekey);
-            if (v) return v;
-          }
-          return null;
-        });
-      } catch { }
+// Open a context with the next profile (and a proxy) and log the pairing for captcha-rate analysis
+async function openContext(browser, label, proxy) {
+  const profile = profileRotator.next();
+  const context = await browser.newContext(contextOptions(profile, proxy));
+  log.info(`🪪 [${label}] Profile ${profile.id} (${profile.locale}, ${profile.timezoneId}, ${profile.viewport.width}x${profile.viewport.height}@${profile.deviceScaleFactor}x)${proxy ? ` via proxy ${proxy.id}` : ''}`);
+  return { context, profile };
+}
 
-      // check frames and scripts for sitekey param (v2/v3)
-      if (!sitekey) {
-        try {
-          for (const frame of page.frames()) {
-            const fu = frame.url();
-            if (/recaptcha|google\.com\/recaptcha|anchor/i.test(String(fu))) {
-              try {
-                const u = new URL(fu);
-                const k = u.searchParams.get('k') || u.searchParams.get('sitekey') || u.searchParams.get('render');
-                if (k) { sitekey = k; break; }
-              } catch { }
-            }
-          }
-          // scan script tags for api.js?render=<sitekey> (v3 pattern)
-          if (!sitekey) {
-            sitekey = await page.evaluate(() => {
-              const scripts = Array.from(document.querySelectorAll('script[src*="recaptcha/api.js"],script[src*="grecaptcha"]'));
-              for (const s of scripts) {
-                try {
-                  const u = new URL(s.src, document.baseURI);
-                  const r = u.searchParams.get('render');
-                  if (r && r !== 'explicit') return r;
-                } catch { }
-              }
-              return null;
-            });
-          }
-        } catch { }
-      }
+const profileRotator = createProfileRotator(loadProfiles(PROFILES_FILE), { mode: PROFILE_ROTATION });
+
+// Proxy pool (created at startup when proxies are configured)
+let proxyPool = null;
+
+// Adaptive pacing keyed by browser label; widens delays, drops tabs or pauses on captchas
+const pacer = createPacer({
+  baseDelayMs: PACE_BASE_DELAY_MS,
+  maxDelayMs: PACE_MAX_DELAY_MS,
+  maxTabs: TABS_PER_BROWSER || 1,
+  windowSize: PACE_WINDOW,
+  minSamples: PACE_MIN_SAMPLES,
+  slowRate: PACE_SLOW_RATE,
+  pauseRate: PACE_PAUSE_RATE,
+  pauseMs: PACE_PAUSE_SEC * 1000,
+});
+
+// What the control API can change mid-run: a graceful stop, paused browsers, cancelled running
+// queries, and whether new queries are still taken
+const runControl = { stopping: false, accepting: true, paused: new Set(), cancelled: new Set() };
+
+// Queries on a tab right now: query -> { browser, tab, page, startedAt }
+const running = new Map();
+
+// Slots take no new queries: captcha budget spent with CAPTCHA_BUDGET_ACTION=stop, or POST /stop
+function stopRequested() {
+  return runControl.stopping || captchaAccounting.stopRequested;
+}
 
-      // If extension path provided, give extension a small chance to act (best-effort)
-      if (!sitekey && NOPECHA_EXTENSION_PATH && fs.existsSync(NOPECHA_EXTENSION_PATH)) {
-        console.log('🧩 CAPTCHA detected. NopeCHA extension path provided — giving extension a short moment to act.');
-        await page.waitForTimeout(4000);
-        // we can't detect success reliably, so mark as present but not solved
-        return { present: true, solved: false };
-      }
+// Hold page loads while the control API has this browser paused
+async function waitWhilePaused(label, query = null) {
+  while (runControl.paused.has(label) && !stopRequested() && !runControl.cancelled.has(query)) await sleep(1000);
+}
 
-      if (!sitekey) {
-        // Try to escape the sorry page by following the continue param if present
-        try {
-          const cont = extractContinueUrl(url);
-          if (cont) {
-            await page.goto(cont, { waitUntil: 'domcontentloaded' }).catch(() => { });
-            await page.waitForTimeout(600);
-            return { present: true, solved: true };
-          }
-        } catch { }
-        console.warn('⚠️ CAPTCHA detected but no sitekey found; skipping automated token solve.');
-        return { present: true, solved: false };
-      }
+// The control API addresses browsers by number
+const browserLabel = (n) => `Browser ${n}`;
+
+// Per browser: pacer page and block counts, captcha challenges / solves from the accounting,
+// pause state and the queries it is running
+function browsersView() {
+  const { browsers } = pacer.stats();
+  const solving = captchaAccounting.stats().byBrowser;
+  return Array.from({ length: BROWSERS }, (_, i) => {
+    const name = browserLabel(i + 1);
+    const b = browsers[name] || { pages: 0, blocks: 0, delayFactor: 1, tabs: TABS_PER_BROWSER };
+    return {
+      id: i + 1, name, paused: runControl.paused.has(name),
+      pages: b.pages + b.blocks, captchas: b.blocks, challenges: solving[name]?.challenges || 0, solved: solving[name]?.solved || 0,
+      tabs: b.tabs, delayFactor: b.delayFactor,
+      running: [...running].filter(([, r]) => r.browser === name).map(([query]) => query),
+    };
+  });
+}
 
-      // Try solver module first (frame-based challenge solving via NopeCHA recognition)
-      try {
-        const solvedSolver = await /* The above code is a comment block in JavaScript. It mentions a
-        function `solveRecaptchaIfPresent(page)` which is likely intended
-        to solve a reCAPTCHA challenge if it is present on the page.
-        However, the actual implementation of the
-        `solveRecaptchaIfPresent` function is not provided in the code
-        snippet. */
-        solveRecaptchaIfPresent(page);
-        if (solvedSolver) {
-          return { present: true, solved: true };
-        }
-      } catch (e) {
-        // ignore and continue to token flow
-      }
+// Counters for the progress view: checkpoint states, recordEmails totals, the pacer's page count
+// across all browsers, the per-browser view and tabs waiting for a manual captcha solve
+function progressSnapshot() {
+  const all = pacer.stats().browsers.global || { pages: 0, blocks: 0 };
+  return {
+    queries: checkpoint.summary(),
+    emails: emailTotals,
+    pages: all.pages + all.blocks,
+    browsers: browsersView(),
+    manualSolves: [...manualSolves].map(([who, deadline]) => ({ who, leftMs: Math.max(0, deadline - Date.now()) })),
+  };
+}
 
-      // Try helper-first if available (NopechaHelper might inject into browser)
-      try {
-        if (NopechaHelper && typeof NopechaHelper.solveRecaptchaV2 === 'function') {
-          await NopechaHelper.solveRecaptchaV2(page);
-          // assume solved if no exception thrown
-          return { present: true, solved: true };
-        }
-      } catch (err) {
-        // fall through to token flow
+// Handlers behind the control API (src/control.js) for this run's queue
+function createRunApi(queue) {
+  return {
+    status() {
+      const cs = captchaAccounting.stats();
+      let state = 'running';
+      if (stopRequested()) state = 'stopping';
+      else if (!runControl.accepting) state = 'finishing';
+      else if (CONTROL_WAIT && !queue.size && !running.size) state = 'waiting';
+      return {
+        runId: getRunId(), state, startedAt: report.summary().startedAt, queued: queue.size, ...progressSnapshot(),
+        captcha: {
+          provider: cs.provider, calls: cs.calls, spend: cs.spend, budget: cs.budget, challenges: cs.challenges, solved: cs.solved,
+          exhausted: cs.exhausted, balance: cs.balance.last,
+        },
+      };
+    },
+
+    queries({ status }) {
+      if (status && status !== 'queued' && !Object.values(STATUS).includes(status)) {
+        throw httpError(400, `unknown status "${status}" (use queued, ${Object.values(STATUS).join(', ')})`);
       }
-
-      // Determine type hint: if v3 patterns detected, prefer recaptcha3
-      let typeHint = null;
-      try {
-        const hasExec = await page.evaluate(() => {
-          try { return typeof window.grecaptcha !== 'undefined'; } catch { return false; }
-        });
-        // If there is a render param and no visible widget, lean v3
-        if (hasExec && !(await page.$('.g-recaptcha'))) typeHint = 'recaptcha3';
-      } catch { }
-
-      // Try token acquisition via API (opt-in only)
-      if (NOPECHA_USE_TOKEN) {
+      const queued = new Set(queue.list().map(j => j.query));
+      const list = checkpoint.list()
+        .map(e => ({ ...e, queued: queued.has(e.query), ...(running.has(e.query) ? { running: running.get(e.query) } : {}) }))
+        .filter(q => !status || (status === 'queued' ? q.queued : q.status === status));
+      return { count: list.length, queries: list };
+    },
+
+    // Items use the input CSV columns: { query, max_pages, engine, tag, priority, ... } (or a bare string)
+    enqueue(items) {
+      if (!runControl.accepting || stopRequested()) throw httpError(409, 'the run is stopping; no new queries are taken');
+      const added = [], skipped = [];
+      for (const item of items) {
+        const job = toQueryJob(typeof item === 'string' ? { query: item } : (item || {}));
+        if (!job) { skipped.push({ item, reason: 'no query' }); continue; }
+        let reason = null;
         try {
-          const token = await solveRecaptchaToken({ siteKey: sitekey, pageUrl: url, typeHint });
-          if (token) {
-            console.log(`✅ reCAPTCHA token received (prefix): ${String(token).slice(0, 12)}...`);
-            // Inject token into typical fields and attempt form submit
-            await page.evaluate(tok => {
-              const ta = document.querySelector('textarea#g-recaptcha-response');
-              if (ta) { ta.value = tok; ta.dispatchEvent(new Event('change', { bubbles: true })); }
-              try { window.__grecaptcha_token = tok; } catch (e) { }
-            }, token);
-            await page.waitForTimeout(600);
-
-            // attempt to submit forms or reload search results
-            try {
-              const form = await page.$('form');
-              if (form) {
-                await form.evaluate(f => f.submit());
-              } else {
-                const cont = extractContinueUrl(url);
-                if (cont) {
-                  await page.goto(cont, { waitUntil: 'domcontentloaded' }).catch(() => { });
-                } else {
-                  const qMatch = url.match(/[?&]q=([^&]+)/);
-                  const q = qMatch ? decodeURIComponent(qMatch[1]) : '';
-                  if (q) {
-                    await page.goto(`https://www.google.com/search?q=${encodeURIComponent(q)}&num=10&hl=en`, { waitUntil: 'domcontentloaded' }).catch(() => { });
-                  } else {
-                    await page.reload({ waitUntil: 'domcontentloaded' }).catch(() => { });
-                  }
-                }
-              }
-              await page.waitForLoadState('domcontentloaded');
-            } catch (err) { /* ignore */ }
-
-            return { present: true, solved: true };
-          } else {
-            return { present: true, solved: false };
-          }
+          getEngine(job.engine);
         } catch (err) {
-          // token flow failed
-          return { present: true, solved: false };
-        }
-      } else {
-        // Token flow disabled; try to continue if possible
-        const cont = extractContinueUrl(url);
-        if (cont) {
-          await page.goto(cont, { waitUntil: 'domcontentloaded' }).catch(() => { });
-          await page.waitForTimeout(500);
-          return { present: true, solved: true };
+          reason = err.message;
         }
-        return { present: true, solved: false };
+        if (!reason && queue.has(job.query)) reason = 'already queued';
+        else if (!reason && running.has(job.query)) reason = 'already running';
+        else if (!reason && checkpoint.isDone(job.query)) reason = 'already done';
+        if (reason) { skipped.push({ query: job.query, reason }); continue; }
+        if (checkpoint.get(job.query)) checkpoint.markPending(job.query);
+        else checkpoint.register([job.query]);
+        queue.push(job);
+        added.push(job.query);
       }
-    }
-  } catch (err) {
-    console.warn('⚠️ maybeHandleCaptcha failed:', err?.message || err);
-    return { present: false, solved: false };
-  }
-  return { present: false, solved: false };
-}
-
-// Extract and decode the continue= parameter from Google's Sorry URL, if present
-function extractContinueUrl(u) {
-  try {
-    const url = new URL(u);
-    const cont = url.searchParams.get('continue');
-    if (!cont) return null;
-    return decodeURIComponent(cont);
-  } catch {
-    return null;
-  }
+      log.info(`📥 [Control] ${added.length} queries added${skipped.length ? `, ${skipped.length} skipped` : ''} (${queue.size} queued)`);
+      return { added, skipped, queued: queue.size };
+    },
+
+    // Queued: dropped at once. Running: ends after its current page.
+    cancel(query) {
+      const job = queue.remove(query);
+      if (job) {
+        checkpoint.markCancelled(query);
+        report.recordQuery({ query, tag: job.tag, engine: getEngine(job.engine).name, stopReason: STOP_REASONS.CANCELLED, pages: 0, captchas: 0, emails: 0, durationMs: 0 });
+        log.info(`🚫 [Control] Cancelled queued query: ${query}`);
+        return { query, cancelled: 'queued' };
+      }
+      if (running.has(query)) {
+        runControl.cancelled.add(query);
+        log.info(`🚫 [Control] Cancelling "${query}" after its current page`);
+        return { query, cancelled: 'running' };
+      }
+      throw httpError(404, `"${query}" is neither queued nor running`);
+    },
+
+    browsers() {
+      return browsersView();
+    },
+
+    // A paused browser finishes the page it is on, then loads nothing until resumed
+    pauseBrowser(id, pause) {
+      const n = Number(id);
+      if (!Number.isInteger(n) || n < 1 || n > BROWSERS) throw httpError(404, `no browser ${id} (1-${BROWSERS})`);
+      const name = browserLabel(n);
+      if (pause) runControl.paused.add(name);
+      else runControl.paused.delete(name);
+      log.info(`${pause ? '⏸️' : '▶️'} [Control] ${name} ${pause ? 'paused' : 'resumed'}`);
+      return browsersView()[n - 1];
+    },
+
+    stop() {
+      if (!runControl.stopping) {
+        runControl.stopping = true;
+        runControl.accepting = false;
+        log.warn('🛑 [Control] Graceful stop requested; running queries end after their current page');
+      }
+      return { state: 'stopping', running: [...running.keys()] };
+    },
+  };
 }
 
-
-
-async function runQueryInTab(page, query) {
-  console.log(`🔍 [Tab] Searching Google for: ${query}`);
-  const collected = new Set();
-  let pageNum = 1, consecutiveCaptcha = 0;
+async function runQueryInTab(page, job, { proxy = null, profile = null, pacingKey = 'Tab', tabLabel = pacingKey } = {}) {
+  const { query, tag, hl, gl } = job;
+  const engine = getEngine(job.engine);
+  const startPage = checkpoint.nextPage(query);
+  log.info(`🔍 Searching ${engine.name} for: ${query}${startPage > 1 ? ` (resuming at page ${startPage})` : ''}`);
+  const collected = emailsOf(query);
+  // Query settings written with every email, from the SERP and from the deep crawl
+  const origin = { query, tag, hl, gl, maxPages: job.maxPages };
+  const startedAt = Date.now();
+  let pageNum = startPage, consecutiveCaptcha = 0, emptyStreak = 0, pagesDone = 0, captchas = 0;
+  let stopReason = STOP_REASONS.NO_NEXT_PAGE, errorMessage;
+  checkpoint.markRunning(query);
+  const where = { browser: pacingKey, tab: tabLabel, page: startPage, startedAt: new Date(startedAt).toISOString() };
+  running.set(query, where);
 
   try {
-    await page.goto(`https://www.google.com/search?q=${encodeURIComponent(query)}&num=10&hl=en`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.goto(engine.buildSearchUrl({ query, page: startPage, hl, gl }), { waitUntil: 'domcontentloaded', timeout: 30000 });
 
     while (true) {
-      console.log(`📄 [${query}] Page ${pageNum}...`);
-      const { present, solved } = await maybeHandleCaptcha(page);
+      setLogContext({ page: pageNum });
+      where.page = pageNum;
+      // The time budget also runs out during captcha handling and slow page loads, not only between pages
+      if (timeLeftMs(job, startedAt) <= 0) { stopReason = STOP_REASONS.TIME_BUDGET; break; }
+      log.info(`📄 [${query}] Page ${pageNum}...`);
+      let { present, solved, consent } = await maybeHandleCaptcha(page, engine, { query, browser: pacingKey });
+      if (present && !solved && CAPTCHA_MANUAL && timeLeftMs(job, startedAt) > 0) {
+        solved = await waitForManualSolve(page, engine, `${tabLabel}: ${query}`, Math.min(CAPTCHA_MANUAL_TIMEOUT_SEC * 1000, timeLeftMs(job, startedAt)));
+      }
+      if (present && !consent) captchaAccounting.challenge({ query, browser: pacingKey }, solved);
+      if (present && !consent) {
+        captchas++;
+        proxyPool?.record(proxy, 'captcha');
+        pacer.blocked(pacingKey);
+      } else {
+        pacer.page(pacingKey);
+      }
+      // An unsolved block page has no results: reload the same page number instead of extracting from it
       if (present && !solved) {
+        proxyPool?.record(proxy, 'solveFailure');
         consecutiveCaptcha++;
-        if (consecutiveCaptcha >= 3) break;
-      } else {
-        consecutiveCaptcha = 0;
+        if (consecutiveCaptcha >= 3) { stopReason = STOP_REASONS.CAPTCHA_BLOCKED; break; }
+        await waitWhilePaused(pacingKey, query);
+        if (runControl.cancelled.has(query)) { stopReason = STOP_REASONS.CANCELLED; break; }
+        if (captchaAccounting.stopRequested) { stopReason = STOP_REASONS.CAPTCHA_BUDGET; break; }
+        if (runControl.stopping) { stopReason = STOP_REASONS.STOPPED; break; }
+        await sleep(Math.min(pacer.delay(pacingKey), Math.max(0, timeLeftMs(job, startedAt))));
+        if (timeLeftMs(job, startedAt) <= 0) { stopReason = STOP_REASONS.TIME_BUDGET; break; }
+        log.warn(`🔁 [${query}] Captcha on page ${pageNum} not solved, reloading (${consecutiveCaptcha}/3)`);
+        await page.goto(engine.buildSearchUrl({ query, page: pageNum, hl, gl }), { waitUntil: 'domcontentloaded', timeout: 30000 });
+        continue;
       }
-
-      const emails = await extractEmailsFromPage(page);
-      const newEmails = emails.filter(e => !collected.has(e));
-      newEmails.forEach(e => collected.add(e));
-
-      if (newEmails.length) {
-        const rows = newEmails.map(e => ({ email: e, query, timestamp: new Date().toISOString() }));
-        appendToCSV(rows);
-        await saveToSupabase(rows).catch(() => { });
-        console.log(`✅ [${query}] ${newEmails.length} new emails`);
+      consecutiveCaptcha = 0;
+
+      const found = await extractEmailsFromPage(page);
+      const newEmails = found.filter(f => !collected.has(f.email));
+      newEmails.forEach(f => collected.add(f.email));
+      emptyStreak = newEmails.length ? 0 : emptyStreak + 1;
+      proxyPool?.record(proxy, 'page');
+
+      // Tie each email to the organic result block it appeared in
+      const results = (await engine.collectResults(page)).map(r => ({ ...r, serpPage: pageNum }));
+      const withContext = newEmails.map(f => ({ ...f, result: findResultFor(f.email, results) }));
+      await recordEmails(withContext, { ...origin, sourceUrl: page.url() });
+
+      // Hand organic result URLs to the deep-crawl pool; crawled emails keep the result's context
+      if (crawler) {
+        for (const r of results.slice(0, DEEP_CRAWL_MAX_RESULTS)) crawler.enqueue([r.url], { ...origin, result: r });
       }
-
-      const hasNext = await goToNextPage(page);
+      checkpoint.markPage(query, pageNum);
+      pagesDone++;
+
+      // max_pages counts absolute result pages, so a resumed query keeps the same limit
+      const reason = checkStopRules(job, { pageNum, emptyStreak, startedAt, emails: collected.size });
+      if (reason) { stopReason = reason; break; }
+      // Control API: hold while the browser is paused, end a cancelled query
+      await waitWhilePaused(pacingKey, query);
+      if (runControl.cancelled.has(query)) { stopReason = STOP_REASONS.CANCELLED; break; }
+      // Captcha budget spent with CAPTCHA_BUDGET_ACTION=stop, or POST /stop: leave the query pending for resume
+      if (captchaAccounting.stopRequested) { stopReason = STOP_REASONS.CAPTCHA_BUDGET; break; }
+      if (runControl.stopping) { stopReason = STOP_REASONS.STOPPED; break; }
+
+      await sleep(Math.min(pacer.delay(pacingKey), timeLeftMs(job, startedAt)));
+      if (timeLeftMs(job, startedAt) <= 0) { stopReason = STOP_REASONS.TIME_BUDGET; break; }
+      const hasNext = await engine.goToNextPage(page);
       if (!hasNext) break;
       pageNum++;
-      await sleep(1500 + Math.random() * 1500);
     }
+    if (stopReason === STOP_REASONS.CAPTCHA_BLOCKED) checkpoint.markBlocked(query);
+    else if (stopReason === STOP_REASONS.CANCELLED) checkpoint.markCancelled(query);
+    // A query that stopped on a captcha it could not solve still has that page to do
+    else if (stopReason === STOP_REASONS.CAPTCHA_BUDGET || stopReason === STOP_REASONS.STOPPED || consecutiveCaptcha) checkpoint.markPending(query);
+    else checkpoint.markDone(query);
   } catch (err) {
-    console.error(`🚨 [${query}] runQueryInTab failed:`, err?.message || err);
+    stopReason = STOP_REASONS.ERROR;
+    errorMessage = err?.message || String(err);
+    if (err?.name === 'TimeoutError' || /timeout/i.test(errorMessage)) proxyPool?.record(proxy, 'timeout');
+    log.error(`🚨 [${query}] runQueryInTab failed:`, errorMessage);
+    checkpoint.markPending(query);
   } finally {
-    console.log(`🎯 [${query}] done (${collected.size} unique emails)`);
+    running.delete(query);
+    runControl.cancelled.delete(query);
+    report.recordQuery({
+      query, tag, engine: engine.name, stopReason, pages: pagesDone, captchas, emails: collected.size, durationMs: Date.now() - startedAt,
+      profile: profile?.id, proxy: proxy?.id, ...(errorMessage ? { error: errorMessage } : {}),
+    });
+    log.info(`🎯 [${query}] done (${collected.size} unique emails, ${pagesDone} pages, stopped: ${stopReason})`);
   }
 }
 
 
 // Entry
-(async () => {
+export async function run() {
   try {
-    // Check NopeCHA key and balance per official docs
-    await verifyNopechaStatus();
+    log.info(`🆔 Run ${getRunId()}${config.logFile ? ` (log file: ${config.logFile})` : ''}`);
+    const useTemplates = Boolean(QUERY_TEMPLATE || TEMPLATE_FILE);
+    let allQueries;
+    if (useTemplates) {
+      const expandedQueries = await loadTemplateQueries({
+        templates: QUERY_TEMPLATE ? [QUERY_TEMPLATE] : [],
+        templateFile: TEMPLATE_FILE,
+        listsCsv: TEMPLATE_LISTS,
+        listFiles: TEMPLATE_LIST_FILES,
+      });
+      // Skip expansions already finished in the checkpoint. The output only counts for queries the
+      // checkpoint does not know: an interrupted query has rows there but must still be resumed.
+      const inOutput = new Set((await readOutputRows(OUTPUT_FILE)).map(r => r.query));
+      const expanded = expandedQueries.length;
+      const doneInCheckpoint = expandedQueries.filter(q => checkpoint.isDone(q)).length;
+      const onlyInOutput = expandedQueries.filter(q => !checkpoint.has(q) && inOutput.has(q)).length;
+      allQueries = expandedQueries
+        .filter(q => !(checkpoint.isDone(q) || (!checkpoint.has(q) && inOutput.has(q))))
+        .map(q => toQueryJob({ query: q }));
+      log.info(`🧮 Template expanded to ${expanded} queries: ${doneInCheckpoint} done in checkpoint, ${onlyInOutput} already in output, ${allQueries.length} to run.`);
+      allQueries.slice(0, 3).forEach(j => log.info(`   • ${j.query}`));
+      if (allQueries.length > 3) log.info(`   • ... and ${allQueries.length - 3} more`);
+    } else {
+      allQueries = await readCSV(INPUT_FILE);
+    }
+    // Fail fast on unknown engine names before any browser starts
+    for (const j of allQueries || []) getEngine(j.engine);
+    if (PREVIEW) {
+      log.info(`👀 Preview only: ${allQueries.length} queries would run.`);
+      return;
+    }
+    if (!allQueries || allQueries.length === 0) {
+      const none = useTemplates ? 'No new queries left after template expansion.' : `No queries found in input CSV: ${INPUT_FILE}`;
+      if (!CONTROL_WAIT) {
+        log.error(none);
+        process.exit(1);
+      }
+      log.info(`📭 ${none} Waiting for queries from the control API.`);
+    }
+
+    // Check the captcha provider's key and balance
+    await checkCaptchaProvider();
+    if (CAPTCHA_MANUAL) log.info(`✋ Manual CAPTCHA mode: unsolved challenges wait up to ${CAPTCHA_MANUAL_TIMEOUT_SEC}s for you in the browser window`);
 
-    const queries = await readCSV(INPUT_FILE);
-    if (!queries || queries.length === 0) {
-      console.error('No queries found in input CSV:', INPUT_FILE);
-      process.exit(1);
+    // Seed the dedupe index from earlier output (and optionally Supabase)
+    const fromCsv = await dedupe.seedFromCsv(OUTPUT_FILE);
+    let fromSupabase = 0;
+    if (supabase && DEDUPE_SEED_SUPABASE) {
+      try {
+        fromSupabase = await dedupe.seedFromSupabase(supabase, SUPABASE_TABLE);
+      } catch (err) {
+        log.warn('⚠️ Could not seed dedupe index from Supabase:', err?.message || err);
+      }
+    }
+    log.info(`🗂️ Dedupe index: ${dedupe.size} known emails (+${fromCsv} from CSV, +${fromSupabase} from Supabase)`);
+
+    // On --resume skip queries the checkpoint already marks done
+    checkpoint.register(allQueries.map(j => j.query));
+    const queries = allQueries.filter(j => !checkpoint.isDone(j.query));
+    if (RESUME) {
+      const s = checkpoint.summary();
+      log.info(`♻️ Resuming from ${CHECKPOINT_FILE}: ${s.done} done, ${s.blocked} blocked, ${s.running + s.pending + s.cancelled} to continue.`);
+    }
+    // Result URLs queued for the deep crawl but not visited before the last run ended
+    const pendingCrawls = RESUME ? checkpoint.pendingCrawls() : [];
+    if (queries.length === 0 && !CONTROL_WAIT && !(DEEP_CRAWL && pendingCrawls.length)) {
+      log.info('🏁 Nothing left to do; all queries are done in the checkpoint.');
+      return;
     }
 
     if (supabase) {
-      console.log('🔌 Testing Supabase connection...');
+      log.info('🔌 Testing Supabase connection...');
       try {
         const { error } = await supabase.from(SUPABASE_TABLE).select('*').limit(1);
-        if (error) console.error('❌ Supabase connection failed:', error.message || error);
-        else console.log('✅ Supabase connected successfully!');
+        if (error) log.error('❌ Supabase connection failed:', error.message || error);
+        else log.info('✅ Supabase connected successfully!');
       } catch (err) {
-        console.error('❌ Supabase connection test error:', err?.message || err);
+        log.error('❌ Supabase connection test error:', err?.message || err);
       }
     }
 
+    // The dedupe index persists a new email only after its row reached the output
+    output = createOutput(buildSinks(), {
+      batchSize: SINK_BATCH_SIZE,
+      flushMs: SINK_FLUSH_MS,
+      onWritten: (batch) => dedupe.confirm(batch.map(r => r.email)),
+    });
+    await output.init();
+    log.info(`💾 Output sinks: ${output.sinks.join(', ') || 'none'} (batches of ${SINK_BATCH_SIZE}, every ${SINK_FLUSH_MS}ms)`);
+
+    // Ctrl+C: write out buffered rows, the dedupe index and the checkpoint before exiting
+    process.once('SIGINT', async () => {
+      log.warn('🛑 Interrupted; flushing output...');
+      await output.close().catch(() => { });
+      dedupe.flush();
+      checkpoint.flush();
+      process.exit(130);
+    });
 
-    //* You open 10 browsers, and each browser opens 10 tabs concurrently → that means 100 total parallel tabs working at once.
-
-    // Parallel execution: multiple browsers, each with multiple tabs
-    console.log(`🚀 Launching ${BROWSERS} browsers × ${TABS_PER_BROWSER} tabs = ${BROWSERS * TABS_PER_BROWSER} total.`);
-
-    let queryIndex = 0;
+    const proxies = loadProxies({ file: PROXY_FILE, list: PROXIES });
+    if (proxies.length) {
+      proxyPool = createProxyPool(proxies, { minScore: PROXY_MIN_SCORE, minSamples: PROXY_MIN_SAMPLES, cooldownMs: PROXY_COOLDOWN_SEC * 1000 });
+      log.info(`🌐 Proxy pool: ${proxies.length} proxies (min score ${PROXY_MIN_SCORE}, cooldown ${PROXY_COOLDOWN_SEC}s)`);
+    }
 
-    const browserWorkers = Array.from({ length: BROWSERS }, async (_, browserId) => {
-      const browser = await chromium.launch({ headless: HEADLESS });
-      const context = await browser.newContext({
-        viewport: { width: 1366, height: 820 },
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    // Deep-crawl pool runs on its own browser so landing pages don't share the SERP tabs
+    let crawlBrowser = null;
+    let crawlProxy = null;
+    if (DEEP_CRAWL) {
+      crawlBrowser = await chromium.launch({ headless: HEADLESS });
+      crawlProxy = proxyPool?.acquire() || null;
+      const { context: crawlContext } = await openContext(crawlBrowser, 'Crawl', crawlProxy);
+      crawler = createCrawler({
+        context: crawlContext,
+        extractEmails: extractEmailsFromPage,
+        onEmails: (found, origin) => {
+          for (const f of found) emailsOf(origin.query).add(f.email);
+          return recordEmails(found, origin);
+        },
+        // Unvisited URLs stay in the checkpoint until crawled, so a crash after the query is done loses none
+        onQueued: ({ url, depth, origin }) => checkpoint.addCrawl(origin.query, { url, depth, tag: origin.tag, result: crawlResult(origin.result) }),
+        onFinished: ({ url, origin }) => checkpoint.finishCrawl(origin.query, url),
+        workers: DEEP_CRAWL_WORKERS,
+        maxDepth: DEEP_CRAWL_DEPTH,
       });
+      log.info(`🕸️ Deep crawl enabled: ${DEEP_CRAWL_WORKERS} workers, depth ${DEEP_CRAWL_DEPTH}.`);
+      if (pendingCrawls.length) {
+        const jobs = new Map(allQueries.map(j => [j.query, j]));
+        for (const c of pendingCrawls) {
+          const { hl, gl, maxPages } = jobs.get(c.query) || toQueryJob({ query: c.query });
+          crawler.enqueue([c.url], { query: c.query, tag: c.tag, hl, gl, maxPages, result: c.result }, c.depth);
+        }
+        log.info(`🕸️ Resuming ${pendingCrawls.length} deep-crawl URLs left from the previous run.`);
+      }
+    } else if (pendingCrawls.length) {
+      log.warn(`⚠️ ${pendingCrawls.length} deep-crawl URLs from the previous run are still in the checkpoint; set DEEP_CRAWL=true to visit them.`);
+    }
 
+    // Every browser runs TABS_PER_BROWSER slots; each slot pulls the next query from the shared
+    // queue as soon as its current one finishes (higher priority first, round-robin across tags).
+    const queue = createQueryQueue(queries);
+    if (CONTROL_PORT) {
+      const server = createControlServer({ host: CONTROL_HOST, port: CONTROL_PORT, token: CONTROL_TOKEN, api: createRunApi(queue) });
       try {
-        while (queryIndex < queries.length) {
-          // Assign next batch of queries to this browser
-          const batch = queries.slice(queryIndex, queryIndex + TABS_PER_BROWSER);
-          queryIndex += TABS_PER_BROWSER;
-          if (batch.length === 0) break;
+        log.info(`🎛️ Control API listening on ${await server.listen()}${CONTROL_TOKEN ? ' (token required)' : ''}${CONTROL_WAIT ? '; idle tabs wait for new queries until POST /stop' : ''}`);
+      } catch (err) {
+        throw new Error(`Control API could not listen on ${CONTROL_HOST}:${CONTROL_PORT}: ${err?.message || err}`);
+      }
+      control = server;
+    }
+    log.info(`🚀 Launching ${BROWSERS} browsers × ${TABS_PER_BROWSER} tabs = ${BROWSERS * TABS_PER_BROWSER} total.`);
+    const progress = createProgressView({ collect: progressSnapshot, mode: PROGRESS, intervalMs: PROGRESS_INTERVAL_SEC * 1000 });
+    progress.start();
 
-          console.log(`🧩 [Browser ${browserId + 1}] Running ${batch.length} tabs...`);
+    const browserWorkers = Array.from({ length: BROWSERS }, (_, browserId) => withLogContext({ browser: browserId + 1 }, async () => {
+      const label = `Browser ${browserId + 1}`;
+      const browser = await chromium.launch({ headless: HEADLESS });
+      // The context in use; `active` counts tabs still running on it
+      let current = null;
+      let rotating = null;
 
-          const pages = await Promise.all(batch.map(() => context.newPage()));
+      async function open(proxy) {
+        const { context, profile } = await openContext(browser, label, proxy);
+        return { context, profile, proxy, active: 0 };
+      }
 
-          // Run all tabs concurrently
-          await Promise.allSettled(batch.map((q, i) => runQueryInTab(pages[i], q)));
+      async function retire(ctx) {
+        await ctx.context.close().catch(() => { });
+        proxyPool?.release(ctx.proxy);
+      }
 
-          // Close tabs after completion
-          await Promise.allSettled(pages.map(p => p.close().catch(() => { })));
+      // Swap to a fresh context on another proxy once the current one is rotated out (or the same
+      // direct connection when there is no pool, after a context stopped opening tabs).
+      // Tabs already running keep the old context; it is closed when the last of them finishes.
+      function rotate() {
+        if (!rotating) {
+          rotating = (async () => {
+            const old = current;
+            current = await open(proxyPool?.acquire() || null);
+            if (old.active === 0) await retire(old);
+          })().finally(() => { rotating = null; });
+        }
+        return rotating;
+      }
 
-          // Small stagger delay between batches
-          await sleep(1000 + Math.random() * 2000);
+      async function slot(slotId) {
+        // Stagger slot start-up so tabs don't hit the engine at the same instant
+        await sleep(Math.random() * 2000);
+        let job;
+        while (true) {
+          // The pacer may pause this browser or take some of its tabs out of rotation; so may the control API
+          while (queue.size && !stopRequested() && !(pacer.canRun(label, slotId) && !runControl.paused.has(label))) await sleep(1000);
+          if (stopRequested()) break;
+          if (!(job = queue.next())) {
+            // CONTROL_WAIT: stay idle until the control API adds queries or asks to stop
+            if (!CONTROL_WAIT) break;
+            await sleep(1000);
+            continue;
+          }
+          if (current.proxy && !proxyPool.isHealthy(current.proxy)) await rotate();
+          const ctx = current;
+          ctx.active++;
+          let page = null;
+          try {
+            page = await ctx.context.newPage();
+          } catch (err) {
+            ctx.active--;
+            // The query never started: give it back to the queue for this or another browser
+            queue.push(job);
+            if (!browser.isConnected()) {
+              log.error(`🚨 [${label}] Browser is gone, tab ${slotId + 1} stops:`, err?.message || err);
+              break;
+            }
+            log.warn(`⚠️ [${label}] Could not open a tab (${err?.message || err}); reopening the browser context.`);
+            if (ctx === current) await rotate();
+            else if (ctx.active === 0) await retire(ctx);
+            await sleep(pacer.delay(label));
+            continue;
+          }
+          try {
+            await withLogContext({ query: job.query }, () => runQueryInTab(page, job, { proxy: ctx.proxy, profile: ctx.profile, pacingKey: label, tabLabel: `${label} / tab ${slotId + 1}` }));
+          } catch (err) {
+            log.error(`🚨 [${label}] "${job.query}" failed:`, err?.message || err);
+          } finally {
+            await page.close().catch(() => { });
+            ctx.active--;
+            if (ctx !== current && ctx.active === 0) await retire(ctx);
+          }
+          await sleep(pacer.delay(label));
         }
+      }
+
+      try {
+        current = await open(proxyPool?.acquire() || null);
+        await Promise.all(Array.from({ length: TABS_PER_BROWSER }, (_, i) => withLogContext({ tab: i + 1 }, () => slot(i))));
       } catch (err) {
-        console.error(`🚨 [Browser ${browserId + 1}] Error:`, err?.message || err);
+        log.error(`🚨 [${label}] Error:`, err?.message || err);
       } finally {
-        console.log(`🧹 [Browser ${browserId + 1}] Closing...`);
-        await context.close().catch(() => { });
+        log.info(`🧹 [${label}] Closing...`);
+        if (current) await retire(current);
         await browser.close().catch(() => { });
       }
-    });
+    }));
 
     // Wait for all browsers to finish
     await Promise.all(browserWorkers);
+    runControl.accepting = false;
+    if (queue.size) log.warn(`⚠️ ${queue.size} queued queries were not started; they stay pending in the checkpoint`);
+
+    // Let the crawl pool finish the landing pages queued by the SERP tabs
+    if (crawler) {
+      log.info('🕸️ Waiting for deep crawl to finish...');
+      await crawler.drain();
+      const c = crawler.stats;
+      log.info(`🕸️ Deep crawl: ${c.visited} pages visited, ${c.failed} failed, ${c.emails} emails seen.`);
+      await crawlBrowser.close().catch(() => { });
+      proxyPool?.release(crawlProxy);
+    }
 
-    console.log('🏁 All queries completed. Output written to', OUTPUT_FILE);
+    await control?.close();
+    progress.stop();
+    captchaAccounting.stop();
+    await output.close();
+    dedupe.flush();
+    checkpoint.flush();
+    const s = checkpoint.summary();
+    log.info(`📋 Queries: ${s.done} done, ${s.blocked} blocked${s.cancelled ? `, ${s.cancelled} cancelled` : ''}, ${s.pending + s.running} unfinished (checkpoint: ${CHECKPOINT_FILE})`);
+    const r = report.summary();
+    const reasons = Object.entries(r.byReason).map(([k, v]) => `${k}=${v}`).join(', ') || 'none';
+    log.info(`🛑 Stop reasons: ${reasons}`);
+    for (const [id, p] of Object.entries(r.byProfile)) {
+      log.info(`🪪 Profile ${id}: ${p.queries} queries, ${p.pages} pages, ${p.captchas} captchas (${p.captchaRate}/page)`);
+    }
+    const cs = captchaAccounting.stats();
+    if (cs.provider || cs.challenges) {
+      const rate = cs.solveRate === null ? 'n/a' : `${Math.round(cs.solveRate * 100)}%`;
+      log.info(`🧩 Captchas: ${cs.challenges} seen, ${cs.solved} solved (${rate}); ${cs.calls} provider calls (${cs.ok} ok, ${cs.failed} failed, avg ${cs.avgLatencyMs}ms), estimated spend ${cs.spend}${cs.budget ? ` of ${cs.budget}` : ''}`);
+      if (cs.balance.start !== null) log.info(`   ${cs.provider} balance: ${cs.balance.start} → ${cs.balance.last}`);
+      for (const [browser, b] of Object.entries(cs.byBrowser)) {
+        log.info(`   ${browser}: ${b.challenges} seen, ${b.solved} solved, ${b.calls} calls, spend ${b.spend}`);
+      }
+      if (cs.exhausted) log.info(`   stopped early: ${cs.exhausted}`);
+    }
+    if (proxyPool) {
+      log.info('🌐 Proxy stats:');
+      for (const p of proxyPool.stats()) {
+        log.info(`   ${p.proxy}: score ${p.score}, ${p.pages} pages, ${p.captchas} captchas, ${p.solveFailures} solve failures, ${p.timeouts} timeouts${p.timesBenched ? `, benched ${p.timesBenched}×` : ''}`);
+      }
+    }
+    report.write(REPORT_FILE, {
+      runId: getRunId(),
+      ...(crawler ? { deepCrawl: crawler.stats } : {}),
+      ...(proxyPool ? { proxies: proxyPool.stats() } : {}),
+      pacing: pacer.stats(),
+      captcha: cs,
+    });
+    log.info('📝 Run report written to', REPORT_FILE);
+    log.info('🏁 All queries completed. Output written to', OUTPUT_FILE);
 
   } catch (err) {
-    console.error('🚨 Fatal error:', err?.message || err);
+    log.error('🚨 Fatal error:', err?.message || err);
+    checkpoint.flush();
     process.exit(1);
   }
-})();
+}
+
+// Started directly (node src/main.js) rather than through the CLI
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) run();
@@ -0,0 +1,119 @@
+// pacing.js
+// Adaptive pacing. Tracks how often result pages come back as captcha / sorry pages, per browser
+// and across all browsers, and adjusts:
+//   - the delay between page loads (doubles while the block rate is high, halves once clean)
+//   - how many tabs a browser may run (one fewer per slow-down, one more per speed-up)
+//   - a cooldown pause for a browser (or everything) when the block rate gets too high
+// Every decision is logged.
+import { log } from './logger.js';
+
+const GLOBAL = '*';
+
+export function createPacer({
+  baseDelayMs = 1500,
+  maxDelayMs = 30000,
+  maxTabs = 1,
+  windowSize = 20,
+  minSamples = 5,
+  slowRate = 0.2,
+  pauseRate = 0.5,
+  pauseMs = 300000,
+} = {}) {
+  const states = new Map();
+  const decisions = [];
+
+  function state(key) {
+    if (!states.has(key)) {
+      states.set(key, { events: [], sinceChange: 0, factor: 1, tabs: maxTabs, pausedUntil: 0, slowdowns: 0, speedups: 0, pauses: 0, pages: 0, blocks: 0 });
+    }
+    return states.get(key);
+  }
+
+  function decide(key, s, action, detail) {
+    const who = key === GLOBAL ? 'all browsers' : key;
+    const entry = { at: new Date().toISOString(), key: who, action, ...detail };
+    decisions.push(entry);
+    const icon = { pause: '⏸️', slow_down: '🐢', speed_up: '🐇' }[action];
+    const pct = Math.round(detail.blockRate * 100);
+    const tabs = key === GLOBAL ? '' : `, tabs ${s.tabs}/${maxTabs}`;
+    const pause = action === 'pause' ? `, paused ${Math.round(pauseMs / 1000)}s` : '';
+    log.info(`${icon} [Pacing] ${who}: block rate ${pct}% over ${detail.samples} pages → delay ×${s.factor}${tabs}${pause}`);
+  }
+
+  // Re-evaluate one state after an event; at most one decision per `minSamples` events
+  function evaluate(key, s) {
+    s.sinceChange++;
+    if (s.events.length < minSamples || s.sinceChange < minSamples) return;
+    const blocks = s.events.filter(Boolean).length;
+    const detail = { blockRate: blocks / s.events.length, samples: s.events.length };
+    const maxFactor = Math.max(1, Math.ceil(maxDelayMs / baseDelayMs));
+
+    if (detail.blockRate >= pauseRate) {
+      s.factor = maxFactor;
+      s.tabs = 1;
+      s.pausedUntil = Date.now() + pauseMs;
+      s.pauses++;
+      s.events = [];
+      decide(key, s, 'pause', detail);
+    } else if (detail.blockRate >= slowRate) {
+      s.factor = Math.min(maxFactor, s.factor * 2);
+      s.tabs = Math.max(1, s.tabs - 1);
+      s.slowdowns++;
+      decide(key, s, 'slow_down', detail);
+    } else if (blocks === 0 && s.events.length >= windowSize && (s.factor > 1 || s.tabs < maxTabs)) {
+      s.factor = Math.max(1, Math.floor(s.factor / 2));
+      s.tabs = Math.min(maxTabs, s.tabs + 1);
+      s.speedups++;
+      decide(key, s, 'speed_up', detail);
+    } else {
+      return;
+    }
+    s.sinceChange = 0;
+  }
+
+  function record(key, blocked) {
+    for (const k of [key, GLOBAL]) {
+      const s = state(k);
+      s.events.push(blocked);
+      if (s.events.length > windowSize) s.events.shift();
+      if (blocked) s.blocks++;
+      else s.pages++;
+      evaluate(k, s);
+    }
+  }
+
+  function pausedUntil(key) {
+    return Math.max(state(key).pausedUntil, state(GLOBAL).pausedUntil);
+  }
+
+  return {
+    // A result page loaded cleanly
+    page(key) { record(key, false); },
+
+    // A captcha, sorry or other block page was served
+    blocked(key) { record(key, true); },
+
+    // Wait before the next page load: the paced delay with jitter, or the rest of a pause
+    delay(key) {
+      const factor = Math.max(state(key).factor, state(GLOBAL).factor);
+      const paced = Math.min(maxDelayMs, baseDelayMs * factor * (1 + Math.random()));
+      return Math.max(paced, pausedUntil(key) - Date.now());
+    },
+
+    // Whether tab slot `slot` (0-based) of a browser may start a query right now
+    canRun(key, slot) {
+      return pausedUntil(key) <= Date.now() && slot < state(key).tabs;
+    },
+
+    stats() {
+      const out = {};
+      for (const [key, s] of states) {
+        out[key === GLOBAL ? 'global' : key] = {
+          pages: s.pages, blocks: s.blocks, delayFactor: s.factor, tabs: key === GLOBAL ? undefined : s.tabs,
+          slowdowns: s.slowdowns, speedups: s.speedups, pauses: s.pauses,
+        };
+      }
+      return { browsers: out, decisions };
+    },
+  };
+}
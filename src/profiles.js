@@ -0,0 +1,114 @@
+// profiles.js
+// Browser context fingerprints (user agent, viewport, locale, timezone, Accept-Language, device scale)
+// rotated per context. Each profile is internally consistent: OS in the UA matches the screen
+// and scale factor, and the locale matches Accept-Language and the timezone region.
+import fs from 'fs';
+
+export const DEFAULT_PROFILES = [
+  {
+    id: 'win-chrome-us',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1366, height: 820 },
+    deviceScaleFactor: 1,
+    locale: 'en-US',
+    timezoneId: 'America/New_York',
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  {
+    id: 'win-chrome-us-fhd',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 969 },
+    deviceScaleFactor: 1,
+    locale: 'en-US',
+    timezoneId: 'America/Chicago',
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  {
+    id: 'win-edge-us',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0',
+    viewport: { width: 1536, height: 730 },
+    deviceScaleFactor: 1.25,
+    locale: 'en-US',
+    timezoneId: 'America/Los_Angeles',
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  {
+    id: 'mac-chrome-us',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+    viewport: { width: 1440, height: 789 },
+    deviceScaleFactor: 2,
+    locale: 'en-US',
+    timezoneId: 'America/Denver',
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  {
+    id: 'win-chrome-gb',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+    viewport: { width: 1600, height: 773 },
+    deviceScaleFactor: 1,
+    locale: 'en-GB',
+    timezoneId: 'Europe/London',
+    acceptLanguage: 'en-GB,en;q=0.9,en-US;q=0.8',
+  },
+  {
+    id: 'linux-chrome-us',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    viewport: { width: 1280, height: 720 },
+    deviceScaleFactor: 1,
+    locale: 'en-US',
+    timezoneId: 'America/New_York',
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+];
+
+// Fill in derived fields and reject profiles that can't produce a usable context
+function normalizeProfile(p, i) {
+  if (!p || typeof p !== 'object') throw new Error(`Profile #${i + 1} is not an object`);
+  if (!p.userAgent) throw new Error(`Profile #${i + 1} is missing userAgent`);
+  const width = Number(p.viewport?.width), height = Number(p.viewport?.height);
+  if (!(width > 0 && height > 0)) throw new Error(`Profile #${i + 1} needs viewport.width and viewport.height`);
+  const locale = p.locale || 'en-US';
+  return {
+    id: p.id || `profile-${i + 1}`,
+    userAgent: p.userAgent,
+    viewport: { width, height },
+    deviceScaleFactor: Number(p.deviceScaleFactor) || 1,
+    locale,
+    timezoneId: p.timezoneId || 'America/New_York',
+    acceptLanguage: p.acceptLanguage || `${locale},${locale.split('-')[0]};q=0.9`,
+  };
+}
+
+// Profiles from a JSON file (an array of profile objects), or the built-in list
+export function loadProfiles(file) {
+  if (!file) return DEFAULT_PROFILES.map(normalizeProfile);
+  if (!fs.existsSync(file)) throw new Error(`Profiles file not found: ${file}`);
+  const list = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(list) || list.length === 0) throw new Error(`Profiles file must contain a non-empty JSON array: ${file}`);
+  return list.map(normalizeProfile);
+}
+
+// Hands out profiles per context: 'round-robin' (default) or 'random'
+export function createProfileRotator(profiles, { mode = 'round-robin' } = {}) {
+  let next = 0;
+  return {
+    next() {
+      if (mode === 'random') return profiles[Math.floor(Math.random() * profiles.length)];
+      const p = profiles[next % profiles.length];
+      next++;
+      return p;
+    },
+  };
+}
+
+// Playwright newContext() options for a profile
+export function toContextOptions(profile) {
+  return {
+    userAgent: profile.userAgent,
+    viewport: profile.viewport,
+    deviceScaleFactor: profile.deviceScaleFactor,
+    locale: profile.locale,
+    timezoneId: profile.timezoneId,
+    extraHTTPHeaders: { 'Accept-Language': profile.acceptLanguage },
+  };
+}
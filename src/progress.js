@@ -0,0 +1,184 @@
+// progress.js
+// Live progress for long runs. On a terminal it draws a dashboard on the alternate screen,
+// refreshed every second; press `p` to switch between the dashboard and the scrolling logs
+// (lines logged while the dashboard is up are replayed when switching back, the last few shown
+// under "Recent"). When stdout is not a TTY it logs a one-line summary every `intervalMs` instead.
+//
+// `collect()` returns cumulative counters; rates and the ETA are derived here:
+//   { queries: { done, blocked, running, pending }, emails: { found, unique }, pages,
+//     browsers: [{ name, pages, captchas, challenges, solved }], manualSolves?: [{ who, leftMs }] }
+// Tabs waiting for a manual captcha solve are pinned at the top of the dashboard until they clear.
+import { log, getRunId, setConsoleHook } from './logger.js';
+
+const RATE_WINDOW_MS = 5 * 60 * 1000;
+const KEEP_HIDDEN_LINES = 500;
+const RECENT_LINES = 6;
+
+const pct = (n, d) => (d ? `${Math.round((n / d) * 100)}%` : '-');
+const num = (n) => Number(n || 0).toLocaleString('en-US');
+
+function duration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return '-';
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h) return `${h}h ${String(m).padStart(2, '0')}m`;
+  return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+}
+
+export function createProgressView({ collect, mode = 'dashboard', intervalMs = 60000, stdout = process.stdout, stdin = process.stdin } = {}) {
+  const tty = !!stdout.isTTY;
+  const startedAt = Date.now();
+  const samples = [];
+  let baseline = null;
+  let timer = null;
+  let showing = false;
+  let hidden = [];
+  let dropped = 0;
+  const recent = [];
+
+  // Cumulative counters plus page rate over the last few minutes and an ETA from the query rate
+  function snapshot() {
+    const s = collect();
+    const now = Date.now();
+    const finished = s.queries.done + s.queries.blocked;
+    if (!baseline) baseline = { finished };
+    samples.push({ at: now, pages: s.pages });
+    while (samples.length > 2 && now - samples[0].at > RATE_WINDOW_MS) samples.shift();
+    const first = samples[0];
+    const minutes = (now - first.at) / 60000;
+    const pagesPerMin = minutes > 0 ? (s.pages - first.pages) / minutes : 0;
+    const doneThisRun = finished - baseline.finished;
+    const remaining = s.queries.pending + s.queries.running;
+    const eta = doneThisRun > 0 ? ((now - startedAt) / doneThisRun) * remaining : NaN;
+    const captchas = s.browsers.reduce((n, b) => n + b.captchas, 0);
+    const challenges = s.browsers.reduce((n, b) => n + b.challenges, 0);
+    const solved = s.browsers.reduce((n, b) => n + b.solved, 0);
+    return { ...s, finished, total: finished + remaining, pagesPerMin, eta, captchas, challenges, solved, elapsed: now - startedAt };
+  }
+
+  function summaryLine(v) {
+    const waiting = v.manualSolves?.length ? `, ${v.manualSolves.length} tabs waiting for a manual captcha solve` : '';
+    return `📊 Progress: ${num(v.finished)}/${num(v.total)} queries finished (${v.queries.blocked} blocked, ${v.queries.running} running, ${num(v.queries.pending)} pending), `
+      + `${num(v.emails.found)} emails (${num(v.emails.unique)} unique), ${v.pagesPerMin.toFixed(1)} pages/min, `
+      + `captchas ${pct(v.captchas, v.pages)} of pages (${pct(v.solved, v.challenges)} solved), ETA ${duration(v.eta)}${waiting}`;
+  }
+
+  function render() {
+    const v = snapshot();
+    const width = Math.max(40, Math.min(stdout.columns || 80, 120));
+    const barWidth = Math.max(10, width - 30);
+    const filled = v.total ? Math.round((v.finished / v.total) * barWidth) : 0;
+    // Reverse video so a stalled tab cannot pass for a running one
+    const manual = (v.manualSolves || []).length ? [
+      `\x1b[7m ✋ CAPTCHA needs a human: solve it in the browser window \x1b[0m`,
+      ...v.manualSolves.map(m => `   ${m.who.slice(0, width - 20)} (${duration(m.leftMs)} left)`),
+      '',
+    ] : [];
+    const lines = [
+      `Run ${getRunId()} · elapsed ${duration(v.elapsed)} · press p for logs, Ctrl+C to stop`,
+      '',
+      ...manual,
+      `Queries   ${num(v.queries.done)} done · ${num(v.queries.blocked)} blocked · ${num(v.queries.running)} running · ${num(v.queries.pending)} pending`,
+      `Progress  [${'#'.repeat(filled)}${'.'.repeat(barWidth - filled)}] ${pct(v.finished, v.total)}`,
+      `ETA       ${duration(v.eta)}`,
+      `Emails    ${num(v.emails.found)} found · ${num(v.emails.unique)} unique`,
+      `Pages     ${num(v.pages)} loaded · ${v.pagesPerMin.toFixed(1)}/min (last ${Math.round(RATE_WINDOW_MS / 60000)} min)`,
+      '',
+      `${'Browser'.padEnd(12)}${'pages'.padStart(8)}${'captchas'.padStart(10)}${'rate'.padStart(7)}${'solved'.padStart(12)}`,
+      ...v.browsers.map(b => `${String(b.name).padEnd(12)}${num(b.pages).padStart(8)}${num(b.captchas).padStart(10)}${pct(b.captchas, b.pages).padStart(7)}${`${b.solved}/${b.challenges} ${pct(b.solved, b.challenges)}`.padStart(12)}`),
+      '',
+      'Recent',
+      ...recent.map(l => `  ${l.slice(0, width - 2)}`),
+    ];
+    stdout.write('\x1b[H\x1b[2J' + lines.join('\n') + '\n');
+  }
+
+  // While the dashboard is up, log lines are held back (bounded) instead of drawn over it
+  function hold(line) {
+    recent.push(line.replace(/\n$/, ''));
+    if (recent.length > RECENT_LINES) recent.shift();
+    hidden.push(line);
+    if (hidden.length > KEEP_HIDDEN_LINES) {
+      hidden.shift();
+      dropped++;
+    }
+  }
+
+  function showDashboard() {
+    if (showing) return;
+    showing = true;
+    setConsoleHook(hold);
+    stdout.write('\x1b[?1049h\x1b[?25l');
+    render();
+  }
+
+  function showLogs() {
+    if (!showing) return;
+    showing = false;
+    stdout.write('\x1b[?25h\x1b[?1049l');
+    setConsoleHook(null);
+    if (dropped) stdout.write(`… ${num(dropped)} earlier log lines not shown (see LOG_FILE for everything)\n`);
+    for (const line of hidden) stdout.write(line);
+    hidden = [];
+    dropped = 0;
+  }
+
+  function onKey(data) {
+    const key = String(data);
+    if (key === '\u0003') {
+      // Raw mode swallows Ctrl+C; hand it back to the SIGINT handler
+      showLogs();
+      process.kill(process.pid, 'SIGINT');
+    } else if (key === 'p' || key === 'P') {
+      if (showing) showLogs();
+      else showDashboard();
+    }
+  }
+
+  function restore() {
+    showLogs();
+    if (stdin.isTTY) {
+      stdin.setRawMode(false);
+      stdin.off('data', onKey);
+      stdin.pause();
+    }
+  }
+
+  return {
+    start() {
+      if (mode === 'off' || timer) return;
+      if (!tty) {
+        snapshot();
+        timer = setInterval(() => log.info(summaryLine(snapshot())), intervalMs);
+        timer.unref?.();
+        return;
+      }
+      if (stdin.isTTY) {
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on('data', onKey);
+      }
+      process.once('exit', restore);
+      timer = setInterval(() => {
+        if (showing) render();
+        else snapshot();
+      }, 1000);
+      timer.unref?.();
+      if (mode === 'dashboard') showDashboard();
+      else snapshot();
+    },
+
+    // Back to plain logs and a final summary line
+    stop() {
+      if (!timer) return;
+      clearInterval(timer);
+      timer = null;
+      if (tty) {
+        restore();
+        process.off('exit', restore);
+      }
+      log.info(summaryLine(snapshot()));
+    },
+  };
+}
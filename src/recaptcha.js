@@ -0,0 +1,141 @@
+// recaptcha.js
+// reCAPTCHA detection and token submission on block pages. Google's /sorry/index is the main
+// target: a form (#captcha-form) that posts g-recaptcha-response together with hidden `q` and
+// `continue` fields, and a .g-recaptcha widget with data-sitekey, a one-time data-s value and a
+// data-callback that submits the form.
+
+// What kind of reCAPTCHA the page runs: { sitekey, type, invisible, enterprise, dataS, action,
+// callback }, or null when no sitekey can be found. `type` is what providers expect: recaptcha2
+// for checkbox and invisible widgets, recaptcha3 for score-based render=<key> scripts.
+export async function detectRecaptcha(page) {
+  let dom = null;
+  try {
+    dom = await page.evaluate(() => {
+      const widget = document.querySelector('.g-recaptcha[data-sitekey], [data-sitekey]');
+      const scripts = Array.from(document.querySelectorAll('script[src*="recaptcha/"], script[src*="grecaptcha"]')).map(s => s.src);
+      let renderKey = null;
+      for (const src of scripts) {
+        try {
+          const r = new URL(src, document.baseURI).searchParams.get('render');
+          if (r && r !== 'explicit') renderKey = r;
+        } catch { }
+      }
+      const attr = (name) => (widget && widget.getAttribute(name)) || null;
+      return {
+        sitekey: attr('data-sitekey'),
+        dataS: attr('data-s'),
+        size: attr('data-size'),
+        action: attr('data-action'),
+        callback: attr('data-callback'),
+        renderKey,
+        enterprise: scripts.some(s => /recaptcha\/enterprise\.js/.test(s)) || !!(window.grecaptcha && window.grecaptcha.enterprise),
+      };
+    });
+  } catch {
+    return null;
+  }
+
+  // Widget iframes carry the key, size and api2 vs enterprise path even when the DOM hides them
+  let anchor = null;
+  for (const frame of page.frames()) {
+    const m = String(frame.url()).match(/\/recaptcha\/(api2|enterprise)\/anchor\?(.*)$/);
+    if (!m) continue;
+    const params = new URLSearchParams(m[2]);
+    anchor = { sitekey: params.get('k'), size: params.get('size'), enterprise: m[1] === 'enterprise' };
+    break;
+  }
+
+  const enterprise = dom.enterprise || !!anchor?.enterprise;
+  if (dom.sitekey || anchor?.sitekey) {
+    const size = dom.size || anchor?.size;
+    return {
+      sitekey: dom.sitekey || anchor.sitekey,
+      type: 'recaptcha2',
+      invisible: size === 'invisible',
+      enterprise,
+      dataS: dom.dataS,
+      action: dom.action,
+      callback: dom.callback,
+    };
+  }
+  if (dom.renderKey) {
+    return { sitekey: dom.renderKey, type: 'recaptcha3', invisible: true, enterprise, dataS: null, action: dom.action, callback: null };
+  }
+  return null;
+}
+
+// Put the token in every g-recaptcha-response field of the widget's form (adding one, and the
+// q / continue fields from the page URL, when missing), then submit the way the page would: its
+// data-callback if it has one, else the form. With no token the fields are left as they are (the
+// widget filled them after an image solve). Returns 'callback', 'form' or null when there is
+// nothing to submit.
+export async function submitRecaptchaToken(page, token, { callback = null } = {}) {
+  const navigation = page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => null);
+  let how;
+  try {
+    how = await page.evaluate(({ tok, cb }) => {
+      const widget = document.querySelector('.g-recaptcha[data-sitekey], [data-sitekey]');
+      const form = (widget && widget.closest('form'))
+        || document.querySelector('#captcha-form')
+        || Array.from(document.forms).find(f => f.querySelector('[name="continue"], [name="q"], [name="g-recaptcha-response"]'))
+        || null;
+
+      if (tok) {
+        if (form && !form.querySelector('[name="g-recaptcha-response"]')) {
+          const ta = document.createElement('textarea');
+          ta.name = 'g-recaptcha-response';
+          ta.style.display = 'none';
+          form.appendChild(ta);
+        }
+        for (const field of document.querySelectorAll('[name="g-recaptcha-response"], #g-recaptcha-response')) {
+          field.value = tok;
+          if (field.tagName === 'TEXTAREA') field.textContent = tok;
+        }
+      }
+
+      if (form) {
+        const params = new URLSearchParams(location.search);
+        for (const name of ['q', 'continue']) {
+          const value = params.get(name);
+          if (!value || form.querySelector(`[name="${name}"]`)) continue;
+          const input = document.createElement('input');
+          input.type = 'hidden';
+          input.name = name;
+          input.value = value;
+          form.appendChild(input);
+        }
+      }
+
+      if (cb && typeof window[cb] === 'function') {
+        window[cb](tok || (document.querySelector('[name="g-recaptcha-response"]') || {}).value);
+        return 'callback';
+      }
+      if (form) {
+        HTMLFormElement.prototype.submit.call(form);
+        return 'form';
+      }
+      return null;
+    }, { tok: token, cb: callback });
+  } catch (err) {
+    // The submit navigated away before evaluate returned
+    if (!/context was destroyed|navigat/i.test(err?.message || '')) throw err;
+    how = 'form';
+  }
+  if (how) await navigation;
+  return how;
+}
+
+// Poll until the engine no longer sees a block page; true once results are back
+export async function waitForUnblock(page, engine, { timeout = 15000 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      await page.waitForLoadState('domcontentloaded', { timeout: 5000 });
+      if (!(await engine.isBlocked(page))) return true;
+    } catch {
+      // navigation in progress
+    }
+    await page.waitForTimeout(500);
+  }
+  return false;
+}
@@ -0,0 +1,58 @@
+// report.js
+// End-of-run report: one entry per query with why it stopped, written as JSON next to output.csv.
+import fs from 'fs';
+import { log } from './logger.js';
+
+export const STOP_REASONS = Object.freeze({
+  NO_NEXT_PAGE: 'no_next_page',
+  MAX_PAGES: 'max_pages',
+  NO_NEW_EMAILS: 'no_new_emails',
+  TIME_BUDGET: 'time_budget',
+  TARGET_EMAILS: 'target_emails',
+  CAPTCHA_BLOCKED: 'captcha_blocked',
+  CAPTCHA_BUDGET: 'captcha_budget',
+  STOPPED: 'stopped',
+  CANCELLED: 'cancelled',
+  ERROR: 'error',
+});
+
+export function createRunReport() {
+  const startedAt = new Date();
+  const queries = [];
+
+  return {
+    // { query, tag, engine, stopReason, pages, captchas, emails, durationMs, profile?, proxy?, error? }
+    recordQuery(entry) {
+      queries.push({ ...entry, finishedAt: new Date().toISOString() });
+    },
+
+    summary() {
+      const byReason = {};
+      // Captcha rate per context profile, to spot fingerprints that get challenged more
+      const byProfile = {};
+      let emails = 0, pages = 0;
+      for (const q of queries) {
+        byReason[q.stopReason] = (byReason[q.stopReason] || 0) + 1;
+        emails += q.emails || 0;
+        pages += q.pages || 0;
+        if (q.profile) {
+          const p = byProfile[q.profile] || (byProfile[q.profile] = { queries: 0, pages: 0, captchas: 0, captchaRate: 0 });
+          p.queries++;
+          p.pages += q.pages || 0;
+          p.captchas += q.captchas || 0;
+          p.captchaRate = Math.round((p.captchas / Math.max(1, p.pages)) * 100) / 100;
+        }
+      }
+      return { startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), queries: queries.length, pages, emails, byReason, byProfile };
+    },
+
+    // Extra sections (e.g. deep crawl stats) are merged into the written report
+    write(filePath, extra = {}) {
+      try {
+        fs.writeFileSync(filePath, JSON.stringify({ ...this.summary(), ...extra, finishedAt: new Date().toISOString(), details: queries }, null, 2), 'utf-8');
+      } catch (err) {
+        log.error('🚨 Failed to write run report:', err?.message || err);
+      }
+    },
+  };
+}
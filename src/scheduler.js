@@ -0,0 +1,86 @@
+// scheduler.js
+// Shared query queue for the tab slots. Every slot pulls its next query the moment it finishes
+// the previous one, so a long query never holds other tabs idle.
+//
+// Order: higher `priority` first. Within one priority level the queue round-robins between
+// groups (by default the job's tag), so one large campaign cannot starve the others; jobs in a
+// group keep their input order.
+
+export function createQueryQueue(jobs = [], { groupBy = (job) => job.tag || '' } = {}) {
+  // priority -> { groups: Map<group, job[]>, turn: group[] }
+  const levels = new Map();
+  let size = 0;
+  let taken = 0;
+
+  function push(job) {
+    const priority = job.priority || 0;
+    let level = levels.get(priority);
+    if (!level) {
+      level = { groups: new Map(), turn: [] };
+      levels.set(priority, level);
+    }
+    const group = groupBy(job);
+    if (!level.groups.has(group)) {
+      level.groups.set(group, []);
+      level.turn.push(group);
+    }
+    level.groups.get(group).push(job);
+    size++;
+  }
+
+  for (const job of jobs) push(job);
+
+  return {
+    push,
+
+    // Next job, or null when the queue is empty
+    next() {
+      if (size === 0) return null;
+      const priority = Math.max(...levels.keys());
+      const level = levels.get(priority);
+      const group = level.turn.shift();
+      const queue = level.groups.get(group);
+      const job = queue.shift();
+      if (queue.length) level.turn.push(group);
+      else level.groups.delete(group);
+      if (level.turn.length === 0) levels.delete(priority);
+      size--;
+      taken++;
+      return job;
+    },
+
+    // Take a queued job out by query; returns it, or null when it is not queued
+    remove(query) {
+      for (const [priority, level] of levels) {
+        for (const [group, queue] of level.groups) {
+          const i = queue.findIndex(j => j.query === query);
+          if (i === -1) continue;
+          const [job] = queue.splice(i, 1);
+          if (!queue.length) {
+            level.groups.delete(group);
+            level.turn.splice(level.turn.indexOf(group), 1);
+          }
+          if (level.turn.length === 0) levels.delete(priority);
+          size--;
+          return job;
+        }
+      }
+      return null;
+    },
+
+    has(query) {
+      for (const level of levels.values()) {
+        for (const queue of level.groups.values()) if (queue.some(j => j.query === query)) return true;
+      }
+      return false;
+    },
+
+    // Queued jobs, highest priority first (within a level, group by group)
+    list() {
+      return [...levels.keys()].sort((a, b) => b - a).flatMap(p => [...levels.get(p).groups.values()].flat());
+    },
+
+    get size() { return size; },
+    get taken() { return taken; },
+  };
+}
@@ -0,0 +1,273 @@
+// sinks.js
+// Output sinks. The scraping loop hands rows to one buffered output, which flushes them in
+// batches to every enabled sink. A sink is { name, init(), write(rows), close() }; write()
+// always receives a batch and should throw on failure so the error is reported per sink.
+import fs from 'fs';
+import { ensureCsvHeader, toCsvLine } from './csv.js';
+import { log } from './logger.js';
+
+export function createCsvSink({ file, columns }) {
+  return {
+    name: 'csv',
+    init() {
+      // Older files are backed up and migrated to the current columns
+      const migrated = ensureCsvHeader(file, columns);
+      if (migrated) log.info(`ℹ️ Existing output had old header. Backed up to ${migrated.backup} and migrated ${migrated.migrated} rows.`);
+    },
+    write(rows) {
+      fs.appendFileSync(file, rows.map(r => toCsvLine(columns, r)).join('\n') + '\n', 'utf-8');
+    },
+    close() { },
+  };
+}
+
+export function createJsonlSink({ file, columns }) {
+  return {
+    name: 'jsonl',
+    init() { },
+    write(rows) {
+      const lines = rows.map(r => JSON.stringify(Object.fromEntries(columns.map(c => [c, r[c] ?? null]))));
+      fs.appendFileSync(file, lines.join('\n') + '\n', 'utf-8');
+    },
+    close() { },
+  };
+}
+
+// Local SQLite database (better-sqlite3, loaded only when this sink is enabled).
+// `integerColumns` are stored as INTEGER, the rest as TEXT; `indexes` lists indexed columns.
+export function createSqliteSink({ file, columns, table = 'emails', integerColumns = [], indexes = [] }) {
+  let db = null;
+  let insert = null;
+  return {
+    name: 'sqlite',
+    async init() {
+      const { default: Database } = await import('better-sqlite3');
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      const cols = columns.map(c => `"${c}" ${integerColumns.includes(c) ? 'INTEGER' : 'TEXT'}`).join(', ');
+      db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (id INTEGER PRIMARY KEY AUTOINCREMENT, ${cols})`);
+      // Add columns introduced since the database was created
+      const existing = new Set(db.prepare(`PRAGMA table_info("${table}")`).all().map(c => c.name));
+      for (const c of columns) {
+        if (!existing.has(c)) db.exec(`ALTER TABLE "${table}" ADD COLUMN "${c}" ${integerColumns.includes(c) ? 'INTEGER' : 'TEXT'}`);
+      }
+      for (const c of indexes) db.exec(`CREATE INDEX IF NOT EXISTS "idx_${table}_${c}" ON "${table}" ("${c}")`);
+      insert = db.prepare(`INSERT INTO "${table}" (${columns.map(c => `"${c}"`).join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`);
+    },
+    write(rows) {
+      const tx = db.transaction((batch) => {
+        for (const r of batch) {
+          insert.run(Object.fromEntries(columns.map(c => [c, r[c] === '' || r[c] == null ? null : r[c]])));
+        }
+      });
+      tx(rows);
+    },
+    close() {
+      db?.close();
+    },
+  };
+}
+
+// Supabase column mapping: `created_at=timestamp,email,query` maps table column <- row field
+// (a bare name uses the same name for both)
+export function parseColumnMap(spec) {
+  return String(spec || '').split(',').map(x => x.trim()).filter(Boolean).map(pair => {
+    const [column, field] = pair.split('=').map(x => x.trim());
+    return [column, field || column];
+  });
+}
+
+// Network errors (status 0), timeouts, rate limits and server errors are worth retrying;
+// other 4xx responses (schema mismatch, missing constraint, a bad value) will not get better.
+function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Schema problems fail every request the same way until the table is changed, so they are
+// reported once with the fix instead of being retried
+function schemaProblem(error, status, { table, keyColumns }) {
+  const code = error?.code;
+  if (status === 401 || status === 403 || code === '42501') return `${error.message || 'permission denied'}; check SUPABASE_KEY and the row-level security policies on ${table}`;
+  if (code === '42P10') return `${table} has no unique constraint on (${keyColumns.join(', ')}); add one (see README) or set SUPABASE_UPSERT_KEY=none for plain inserts`;
+  if (code === '42703' || code === 'PGRST204') return `${error.message}; add the column to ${table} or drop it from SUPABASE_COLUMNS`;
+  if (code === '42P01' || code === 'PGRST205') return `table ${table} does not exist; create it (see README) or set SUPABASE_TABLE`;
+  return null;
+}
+
+// Supabase table with batched upserts. `columns` is a parsed column map and `onConflict` the
+// unique key (e.g. 'email' or 'email,query'; empty for plain inserts). Failed requests are
+// retried with exponential backoff; rows that still fail are appended to `spoolFile` (JSON Lines)
+// and replayed by init() on the next run. After a schema error no more requests are made this run.
+// Rows the server rejects outright are logged and dropped, so they never sit in the spool.
+export function createSupabaseSink({ client, table, columns, onConflict = '', batchSize = 500, retries = 4, backoffMs = 1000, spoolFile = null }) {
+  let broken = null;
+  const toRecord = (r) => Object.fromEntries(columns.map(([column, field]) => [column, r[field] === '' || r[field] == null ? null : r[field]]));
+  const keyColumns = parseColumnMap(onConflict).map(([column]) => column);
+
+  // Postgres rejects an upsert that touches the same row twice, so keep the last record per key
+  function uniqueByKey(records) {
+    if (!keyColumns.length) return records;
+    const byKey = new Map();
+    for (const rec of records) byKey.set(JSON.stringify(keyColumns.map(c => rec[c])), rec);
+    return [...byKey.values()];
+  }
+
+  // 'ok', 'rejected' (a 4xx that will not change on retry) or 'failed' (spool and try again later)
+  async function send(rows) {
+    if (broken) return 'failed';
+    const records = uniqueByKey(rows.map(toRecord));
+    for (let attempt = 0; ; attempt++) {
+      const request = keyColumns.length
+        ? client.from(table).upsert(records, { onConflict: keyColumns.join(',') })
+        : client.from(table).insert(records);
+      const { error, status } = await request;
+      if (!error) {
+        log.info(`📦 ${keyColumns.length ? 'Upserted' : 'Inserted'} ${records.length} rows to Supabase (${table})`);
+        return 'ok';
+      }
+      const problem = schemaProblem(error, status, { table, keyColumns });
+      if (problem) {
+        broken = problem;
+        log.error(`🚨 Supabase writes stopped for this run: ${problem}. Rows are spooled${spoolFile ? ` to ${spoolFile}` : ''} and replayed on the next run once the table is fixed.`);
+        return 'failed';
+      }
+      if (!isRetryable(status)) {
+        log.warn(`⚠️ Supabase rejected ${records.length} rows (status ${status}): ${error.message || error}`);
+        return 'rejected';
+      }
+      const retry = attempt < retries;
+      log.warn(`⚠️ Supabase write of ${records.length} rows failed (status ${status || 'network'}): ${error.message || error}${retry ? `; retry ${attempt + 1}/${retries}` : ''}`);
+      if (!retry) return 'failed';
+      await new Promise(r => setTimeout(r, backoffMs * 2 ** attempt * (0.5 + Math.random())));
+    }
+  }
+
+  function spool(rows) {
+    if (!spoolFile) {
+      log.error(`🚨 Dropping ${rows.length} rows that could not be written to Supabase (no spool file set)`);
+      return;
+    }
+    fs.appendFileSync(spoolFile, rows.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf-8');
+    log.warn(`📼 Spooled ${rows.length} rows to ${spoolFile}; they are replayed on the next run.`);
+  }
+
+  // Sends one batch and returns the rows left to spool. A rejected batch is halved until the rows
+  // the server refuses are isolated; those are dropped.
+  async function deliver(rows) {
+    const result = await send(rows);
+    if (result === 'ok') return [];
+    if (result === 'failed') return rows;
+    if (rows.length === 1) {
+      log.error(`🗑️ Dropping the Supabase row for ${rows[0].email || 'an email'}: the table rejects it`);
+      return [];
+    }
+    const half = Math.ceil(rows.length / 2);
+    const left = await deliver(rows.slice(0, half));
+    return left.length ? left.concat(rows.slice(half)) : deliver(rows.slice(half));
+  }
+
+  // Sends rows in batches; once a batch fails the rest are spooled without further attempts
+  async function sendAll(rows) {
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const left = await deliver(rows.slice(i, i + batchSize));
+      if (left.length) return left.concat(rows.slice(i + batchSize));
+    }
+    return [];
+  }
+
+  return {
+    name: 'supabase',
+
+    // Replay rows spooled by earlier runs; whatever still fails stays in the spool
+    async init() {
+      if (!spoolFile || !fs.existsSync(spoolFile)) return;
+      const rows = [];
+      for (const line of fs.readFileSync(spoolFile, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try { rows.push(JSON.parse(line)); } catch { log.warn('⚠️ Skipping unreadable spool line'); }
+      }
+      if (rows.length === 0) {
+        fs.unlinkSync(spoolFile);
+        return;
+      }
+      log.info(`📼 Replaying ${rows.length} spooled rows to Supabase...`);
+      const left = await sendAll(rows);
+      if (left.length) {
+        const tmp = `${spoolFile}.tmp`;
+        fs.writeFileSync(tmp, left.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf-8');
+        fs.renameSync(tmp, spoolFile);
+        log.warn(`📼 ${left.length} spooled rows are still pending in ${spoolFile}`);
+      } else {
+        fs.unlinkSync(spoolFile);
+        log.info('📼 Spool replayed.');
+      }
+    },
+
+    async write(rows) {
+      const left = await sendAll(rows);
+      if (left.length) spool(left);
+    },
+
+    close() { },
+  };
+}
+
+// Fan-out buffer: rows are queued and flushed to every sink once `batchSize` rows are waiting
+// or `flushMs` has passed. Flushes are serialized so batches reach each sink in order.
+// onWritten(batch) runs after a batch every sink accepted (a sink that throws holds it back).
+export function createOutput(sinks, { batchSize = 50, flushMs = 5000, onWritten = null } = {}) {
+  let buffer = [];
+  let timer = null;
+  let chain = Promise.resolve();
+
+  async function writeBatch(batch) {
+    let ok = true;
+    for (const sink of sinks) {
+      try {
+        await sink.write(batch);
+      } catch (err) {
+        ok = false;
+        log.error(`🚨 Output sink "${sink.name}" failed to write ${batch.length} rows:`, err?.message || err);
+      }
+    }
+    if (ok) onWritten?.(batch);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (buffer.length) {
+      const batch = buffer;
+      buffer = [];
+      chain = chain.then(() => writeBatch(batch));
+    }
+    return chain;
+  }
+
+  return {
+    sinks: sinks.map(s => s.name),
+
+    async init() {
+      for (const sink of sinks) await sink.init();
+    },
+
+    write(rows) {
+      if (!rows || rows.length === 0) return;
+      buffer.push(...rows);
+      if (buffer.length >= batchSize) flush();
+      else if (!timer) {
+        timer = setTimeout(flush, flushMs);
+        timer.unref?.();
+      }
+    },
+
+    flush,
+
+    async close() {
+      await flush();
+      for (const sink of sinks) {
+        try { await sink.close(); } catch { }
+      }
+    },
+  };
+}
@@ -1,12 +1,9 @@
-import { Configuration, NopeCHAApi } from 'nopecha';
-import "dotenv/config";
-
-// Official NopeCHA client config (no hardcoded fallback keys)
-// Use environment variable for API key security (no hardcoded fallback)
-const configuration = new Configuration({
-    apiKey: process.env.NOPECHA_KEY
-});
-const nopecha = new NopeCHAApi(configuration);
+// solver.js
+// Frame-based reCAPTCHA v2 image-challenge solving. Tile recognition is delegated to the
+// configured captcha provider (see captcha-providers.js). Handles static 3x3/4x4 grids, dynamic
+// "click until none left" grids whose tiles are replaced after each click, and point answers.
+// Step-by-step detail (payloads, tile and point clicks) is logged at debug level.
+import { log } from './logger.js';
 
 // --- Utility helpers ---
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -29,7 +26,7 @@ async function clickRecaptchaCheckboxIfPresent(page) {
     if (!anchorFrame) return false;
 
     try {
-        console.log('Attempting to click reCAPTCHA checkbox in anchor frame...');
+        log.debug('Attempting to click reCAPTCHA checkbox in anchor frame...');
         await anchorFrame.waitForSelector('.recaptcha-checkbox-border', { timeout: 5000 });
         // Run the provided snippet inside the frame
         await anchorFrame.evaluate(() => {
@@ -38,7 +35,7 @@ async function clickRecaptchaCheckboxIfPresent(page) {
         });
         return true;
     } catch (e) {
-        console.warn('Checkbox not found or click failed:', e.message);
+        log.warn('Checkbox not found or click failed:', e.message);
         return false;
     }
 }
@@ -77,7 +74,7 @@ async function retryWithChallengeFrame(page, fn, { attempts = 3, delay = 250 } =
     throw lastErr || new Error('Failed to execute in challenge frame');
 }
 
-async function extractNopechaPayloadFromChallenge(page) {
+async function extractChallengePayload(page) {
     // Extract { type, task, image_urls, grid } from the challenge DOM
     return await retryWithChallengeFrame(page, (frame) => frame.evaluate(() => {
         function getText(selectors) {
@@ -274,7 +271,7 @@ async function extractNopechaPayloadFromChallenge(page) {
         for (const c of result.clicked) {
             const row = rows && cols ? Math.floor(c.index / cols) + 1 : undefined;
             const col = rows && cols ? (c.index % cols) + 1 : undefined;
-            console.log(
+            log.debug(
                 `Clicked tile index=${c.index}` +
                 (row && col ? ` (row=${row}, col=${col})` : '') +
                 ` at center x=${c.center.x}, y=${c.center.y}`
@@ -282,7 +279,7 @@ async function extractNopechaPayloadFromChallenge(page) {
         }
         return result;
     } catch (e) {
-        console.warn('Clicking tiles failed:', e.message);
+        log.warn('Clicking tiles failed:', e.message);
         return { clicked: [], tileCount: 0 };
     }
 }
@@ -301,13 +298,13 @@ async function extractNopechaPayloadFromChallenge(page) {
                 if (handle) { break; }
             }
         if (!handle) {
-            console.warn('No suitable container found for grid-based clicks.');
+            log.warn('No suitable container found for grid-based clicks.');
             return false;
         }
 
         const box = await handle.boundingBox();
         if (!box) {
-            console.warn('Container not visible; cannot compute bounding box.');
+            log.warn('Container not visible; cannot compute bounding box.');
             return false;
         }
 
@@ -321,11 +318,11 @@ async function extractNopechaPayloadFromChallenge(page) {
             await handle.click({ position: { x: offX, y: offY } });
             const absX = Math.round(box.x + offX);
             const absY = Math.round(box.y + offY);
-            console.log(`Grid-click idx=${idx} (row=${r + 1}, col=${c + 1}) at abs x=${absX}, y=${absY}`);
+            log.debug(`Grid-click idx=${idx} (row=${r + 1}, col=${c + 1}) at abs x=${absX}, y=${absY}`);
         }
         return true;
     } catch (e) {
-        console.warn('Grid-based click failed:', e.message);
+        log.warn('Grid-based click failed:', e.message);
         return false;
     }
 }
@@ -357,104 +354,170 @@ async function extractNopechaPayloadFromChallenge(page) {
         const verifySel = '#recaptcha-verify-button, .button.verify, button[id*="verify"]';
             await retryWithChallengeFrame(page, (frame) => frame.waitForSelector(verifySel, { timeout: 2000 }));
             await retryWithChallengeFrame(page, (frame) => frame.click(verifySel));
-        console.log('Clicked Verify after delay', delay, 'ms');
+        log.debug('Clicked Verify after delay', delay, 'ms');
         return true;
     } catch (_) {
-        console.log('Verify button not found after delay; continuing...');
+        log.debug('Verify button not found after delay; continuing...');
+        return false;
+    }
+}
+
+async function clickTiles(page, indices, rows, cols) {
+    // First attempt element-based clicks; if no tiles found/clicked, fall back to grid-based coordinates
+    const clickRes = await clickTilesFromIndices(page, indices, { rows, cols });
+    if (!clickRes || !clickRes.clicked || !clickRes.clicked.length) {
+        log.debug('Element-based click yielded no clicks; falling back to grid-based coordinates.');
+        await clickGridCellsByContainer(page, indices, rows, cols);
+    }
+}
+
+// Point answers are in challenge-image pixels, or fractions of the image when both are <= 1.
+// Pixels are scaled from the image's natural size to the rendered container.
+async function clickPointsInContainer(page, points) {
+    try {
+        const handle = await retryWithChallengeFrame(page, (frame) => frame.$('.rc-imageselect-target, .rc-imageselect-challenge, .rc-imageselect-table'));
+        const box = handle && await handle.boundingBox();
+        if (!box) {
+            log.warn('No visible challenge container for point clicks.');
+            return false;
+        }
+        const natural = await handle.evaluate((el) => {
+            const img = el.querySelector('img');
+            return img && img.naturalWidth ? { w: img.naturalWidth, h: img.naturalHeight } : null;
+        });
+        const w = natural ? natural.w : box.width;
+        const h = natural ? natural.h : box.height;
+        for (const p of points) {
+            const fraction = p.x <= 1 && p.y <= 1;
+            const x = Math.min(box.width - 1, Math.max(1, fraction ? p.x * box.width : p.x * (box.width / w)));
+            const y = Math.min(box.height - 1, Math.max(1, fraction ? p.y * box.height : p.y * (box.height / h)));
+            await handle.click({ position: { x, y } });
+            log.debug(`Point-click (${p.x}, ${p.y}) at abs x=${Math.round(box.x + x)}, y=${Math.round(box.y + y)}`);
+        }
+        return true;
+    } catch (e) {
+        log.warn('Point-based click failed:', e.message);
         return false;
     }
 }
 
-async function solveImageChallengeIfPresent(page) {
+// "Click verify once there are none left": clicked tiles fade out and are replaced by new images
+async function isDynamicChallenge(page) {
+    try {
+        return await retryWithChallengeFrame(page, (frame) => frame.evaluate(() => {
+            const desc = document.querySelector('.rc-imageselect-desc-no-canonical, .rc-imageselect-desc');
+            return /none\s+left/i.test((desc && desc.textContent) || '');
+        }));
+    } catch {
+        return false;
+    }
+}
+
+// Per-tile image state: a replaced tile shows its own 1x1 image instead of the composite
+async function readTileImages(page) {
+    return await retryWithChallengeFrame(page, (frame) => frame.evaluate(() => {
+        const tiles = Array.from(document.querySelectorAll('.rc-imageselect-tile'));
+        return tiles.map((td, index) => {
+            const img = td.querySelector('img');
+            return {
+                index,
+                src: (img && img.src) || '',
+                single: !!(img && img.classList.contains('rc-image-tile-11')),
+                ready: !!(img && img.complete && img.naturalWidth > 0),
+                selected: td.classList.contains('rc-imageselect-dynamic-selected'),
+            };
+        });
+    }));
+}
+
+// Wait until the clicked tiles have faded and loaded their replacement images
+async function waitForReplacedTiles(page, indices, before, { timeout = 12000 } = {}) {
+    const start = Date.now();
+    let tiles = [];
+    while (Date.now() - start < timeout) {
+        try {
+            tiles = await readTileImages(page);
+        } catch {
+            tiles = [];
+        }
+        const done = indices.filter((i) => {
+            const t = tiles[i];
+            return t && t.ready && !t.selected && t.src && t.src !== (before[i] && before[i].src);
+        });
+        if (done.length === indices.length) break;
+        await sleep(300);
+    }
+    return indices.map((i) => tiles[i]).filter((t) => t && t.ready && t.src && t.src !== (before[t.index] && before[t.index].src));
+}
+
+// Dynamic challenge: after the first clicks, send only the replacement tiles for recognition and
+// keep clicking matches until a round finds none
+async function solveDynamicRefreshes(page, provider, { task, before, clicked, rows, cols, maxRounds = 10 }) {
+    let pending = clicked;
+    let snapshot = before;
+    for (let round = 1; round <= maxRounds && pending.length; round++) {
+        const replaced = await waitForReplacedTiles(page, pending, snapshot);
+        if (!replaced.length) {
+            log.info('No replacement tiles appeared; moving on to verify.');
+            return;
+        }
+        snapshot = await readTileImages(page);
+        const { tiles } = await provider.recognize({ task, imageUrls: replaced.map((t) => t.src), grid: '1x1', rows: 1, cols: 1 });
+        pending = tiles.map((i) => replaced[i] && replaced[i].index).filter((i) => i != null);
+        log.info(`Dynamic round ${round}: ${replaced.length} new tiles, ${pending.length} to click`, pending);
+        if (pending.length) await clickTiles(page, pending, rows, cols);
+    }
+}
+
+async function solveImageChallengeIfPresent(page, provider) {
         const frameExists = await getChallengeFrame(page);
         if (!frameExists) return false;
 
-    console.log('reCAPTCHA image challenge detected. Extracting payload...');
+    log.info('reCAPTCHA image challenge detected. Extracting payload...');
     // Wait briefly to ensure all tiles/images are loaded before extraction
         try {
             await retryWithChallengeFrame(page, (frame) => frame.waitForSelector('.rc-imageselect-target, .rc-image-tile-wrapper, .rc-image-tile, .rc-imageselect-table', { timeout: 8000 }));
         } catch (_) {}
-    console.log('Waiting for challenge images to load...');
+    log.debug('Waiting for challenge images to load...');
         await waitForChallengeReady(page, { timeout: 8000, settle: 300 });
 
     // Repeat solving within the same challenge until instruction disappears or anchor is solved
     const maxInnerAttempts = 5;
     for (let attempt = 1; attempt <= maxInnerAttempts; attempt++) {
-        const payload = await extractNopechaPayloadFromChallenge(page);
+        const payload = await extractChallengePayload(page);
         const { type, task, image_urls, grid, _tileCount } = payload;
-        console.log('Payload:', { type, task, grid, tiles: _tileCount, images: image_urls.length });
-
-        if (!configuration.apiKey) {
-            throw new Error('NOPECHA_KEY (or NOPECHA_API_KEY) is not set. Export it in your environment before running.');
-        }
+        log.debug('Payload:', { type, task, grid, tiles: _tileCount, images: image_urls.length });
 
-        // Log the exact image URLs and grid details being sent in the payload
-        console.log('Calling NopeCHA Recognition API with:');
-        console.log('  task:', task);
-        console.log('  grid:', grid, '(source:', payload._gridSource || 'n/a', ', rows:', payload._rows, ', cols:', payload._cols, ')');
-        console.log('  image_urls count:', image_urls.length);
-        image_urls.forEach((u, i) => console.log(`  image_urls[${i}]: ${u}`));
-
-        // Try SDK recognition first; fallback to REST recognize endpoint if needed
-        let result;
-        if (typeof nopecha.solveRecognition === 'function') {
-            result = await nopecha.solveRecognition({ type, task, image_urls, grid });
-        } else if (typeof fetch === 'function') {
-            const res = await fetch('https://api.nopecha.com/recognize', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ key: NOPECHA_KEY, type, task, image_urls, grid })
-            });
-            const text = await res.text().catch(() => '');
-            if (!res.ok) throw new Error(`NopeCHA /recognize error ${res.status}: ${text.slice(0,200)}`);
-            try { result = JSON.parse(text); } catch { result = text; }
-        } else {
-            throw new Error('NopeCHA recognition not available (SDK or fetch)');
-        }
-        console.log('NopeCHA response:', result);
+        // Log the exact image URLs and grid details being sent to the provider
+        log.debug(`Calling ${provider.name} recognition with:`);
+        log.debug('  task:', task);
+        log.debug('  grid:', grid, '(source:', payload._gridSource || 'n/a', ', rows:', payload._rows, ', cols:', payload._cols, ')');
+        log.debug('  image_urls count:', image_urls.length);
+        image_urls.forEach((u, i) => log.debug(`  image_urls[${i}]: ${u}`));
 
-        // Normalize NopeCHA responses to indices
-        let indices = [];
         const rows = payload._rows || (grid && Number(grid.split('x')[0])) || 0;
         const cols = payload._cols || (grid && Number(grid.split('x')[1])) || 0;
-
-        if (Array.isArray(result)) {
-            if (typeof result[0] === 'number') {
-                indices = result;
-            } else if (typeof result[0] === 'boolean') {
-                // Flat boolean array of length rows*cols
-                if (rows && cols && result.length === rows * cols) {
-                    indices = result.map((v, i) => (v ? i : -1)).filter((i) => i >= 0);
-                    console.log('Derived indices from flat boolean matrix:', indices);
-                } else if (rows && cols && Array.isArray(result[0])) {
-                    // Nested array [[row],[row],...]
-                    indices = [];
-                    for (let r = 0; r < result.length; r++) {
-                        const rowA = result[r];
-                        if (!Array.isArray(rowA)) continue;
-                        for (let c = 0; c < rowA.length; c++) {
-                            if (rowA[c]) indices.push(r * cols + c);
-                        }
-                    }
-                    console.log('Derived indices from nested boolean matrix:', indices);
-                }
-            } else if (result[0] && typeof result[0] === 'object' && 'x' in result[0] && 'y' in result[0]) {
-                // TODO: handle point-based clicks if service returns them (not typical for reCAPTCHA grid)
-                console.log('Received point-based clicks; current flow expects indices. Skipping for now.');
-            }
-        } else if (result && Array.isArray(result.clicks)) {
-            indices = result.clicks;
+        const before = await readTileImages(page).catch(() => []);
+        let { tiles, points } = await provider.recognize({ task, imageUrls: image_urls, grid, rows, cols });
+
+        // A retried dynamic challenge still shows replaced tiles over the stale composite: drop those
+        // from the composite answer and recognize their own images instead
+        const singles = before.filter((t) => t.single && t.ready);
+        if (singles.length && !points.length && await isDynamicChallenge(page)) {
+            const own = await provider.recognize({ task, imageUrls: singles.map((t) => t.src), grid: '1x1', rows: 1, cols: 1 });
+            tiles = [...tiles.filter((i) => !(before[i] && before[i].single)), ...own.tiles.map((i) => singles[i] && singles[i].index).filter((i) => i != null)];
         }
-
-        if (!indices.length) {
-            console.warn('No indices returned by NopeCHA. Proceeding to verify anyway.');
-        } else {
-            // First attempt element-based clicks; if no tiles found/clicked, fall back to grid-based coordinates
-                    const clickRes = await clickTilesFromIndices(page, indices, { rows, cols });
-            if (!clickRes || !clickRes.clicked || !clickRes.clicked.length) {
-                console.log('Element-based click yielded no clicks; falling back to grid-based coordinates.');
-                        await clickGridCellsByContainer(page, indices, rows, cols);
+        log.info(`${provider.name} answer:`, points.length ? { points } : { tiles });
+
+        if (points.length) {
+            await clickPointsInContainer(page, points);
+        } else if (tiles.length) {
+            await clickTiles(page, tiles, rows, cols);
+            if (await isDynamicChallenge(page)) {
+                await solveDynamicRefreshes(page, provider, { task, before, clicked: tiles, rows, cols });
             }
+        } else {
+            log.warn(`No tiles returned by ${provider.name}. Proceeding to verify anyway.`);
         }
 
         // Wait 2-3 seconds then click Verify
@@ -466,7 +529,7 @@ async function solveImageChallengeIfPresent(page) {
 
     const txt = (await getInstructionText(page)) || '';
         if (/please\s+select\s+all\s+matching\s+images/i.test(txt)) {
-            console.log(`Attempt ${attempt}: instruction persists; repeating recognition...`);
+            log.info(`Attempt ${attempt}: instruction persists; repeating recognition...`);
             // Small wait for potential tile refresh
             await waitForChallengeReady(page, { timeout: 6000, settle: 250 });
             continue;
@@ -499,11 +562,11 @@ async function isAnchorSolved(page) {
     }
 }
 
-async function solveRecaptchaUntilGone(page, { maxRounds = 8 } = {}) {
+async function solveRecaptchaUntilGone(page, provider, { maxRounds = 8 } = {}) {
     for (let round = 1; round <= maxRounds; round++) {
         // If already solved, stop
         if (await isAnchorSolved(page)) {
-            console.log('reCAPTCHA solved (anchor checked).');
+            log.info('reCAPTCHA solved (anchor checked).');
             return true;
         }
 
@@ -511,7 +574,7 @@ async function solveRecaptchaUntilGone(page, { maxRounds = 8 } = {}) {
         await clickRecaptchaCheckboxIfPresent(page);
 
         // Try to solve the current image challenge (if any)
-        const attempted = await solveImageChallengeIfPresent(page);
+        const attempted = await solveImageChallengeIfPresent(page, provider);
         if (!attempted) {
             // No challenge visible yet; wait a bit and recheck
             await sleep(1200);
@@ -527,21 +590,22 @@ async function solveRecaptchaUntilGone(page, { maxRounds = 8 } = {}) {
             waited += 500;
         }
 
-        console.log(`Round ${round} completed. Challenge ${await getChallengeFrame(page) ? 'still present' : 'not present'}.`);
+        log.debug(`Round ${round} completed. Challenge ${await getChallengeFrame(page) ? 'still present' : 'not present'}.`);
     }
 
-    console.warn('Max rounds reached; captcha may still be present.');
+    log.warn('Max rounds reached; captcha may still be present.');
     return await isAnchorSolved(page);
 }
 
-// Public API: solve reCAPTCHA if present using NopeCHA
-export async function solveRecaptchaIfPresent(page, { maxRounds = 8 } = {}) {
+// Public API: solve reCAPTCHA if present using the given captcha provider
+export async function solveRecaptchaIfPresent(page, { provider, maxRounds = 8 } = {}) {
+    if (!provider) return false;
     try {
         // Best-effort: ensure checkbox is clicked to trigger challenge
         await clickRecaptchaCheckboxIfPresent(page);
-        return await solveRecaptchaUntilGone(page, { maxRounds });
+        return await solveRecaptchaUntilGone(page, provider, { maxRounds });
     } catch (e) {
-        console.warn('solveRecaptchaIfPresent error:', e?.message || e);
+        log.warn('solveRecaptchaIfPresent error:', e?.message || e);
         return false;
     }
 }
@@ -550,5 +614,6 @@ export async function solveRecaptchaIfPresent(page, { maxRounds = 8 } = {}) {
 export const _internal = {
     clickRecaptchaCheckboxIfPresent,
     solveImageChallengeIfPresent,
+    solveDynamicRefreshes,
     solveRecaptchaUntilGone,
 };
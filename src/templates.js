@@ -0,0 +1,63 @@
+// templates.js
+// Query template expansion: `{service} in [{city}] inurl:/contact ...` × lists of services and cities.
+import fs from 'fs';
+import { parseCsv } from './csv.js';
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+export function placeholders(template) {
+  return [...new Set([...String(template).matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+// Cartesian product of every list used by the template
+export function expandTemplate(template, lists) {
+  const names = placeholders(template);
+  const missing = names.filter(n => !lists[n] || lists[n].length === 0);
+  if (missing.length) throw new Error(`No values for template placeholder(s): ${missing.join(', ')}`);
+
+  let combos = [{}];
+  for (const name of names) {
+    combos = combos.flatMap(c => lists[name].map(v => ({ ...c, [name]: v })));
+  }
+  return combos.map(c => template.replace(PLACEHOLDER, (m, n) => c[n] ?? m));
+}
+
+// One value per line; blank lines and # comments ignored
+export function readListFile(filePath) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith('#'));
+}
+
+// CSV whose columns are named after placeholders; each column is an independent list
+export function readListsCsv(filePath) {
+  const [header = [], ...rows] = parseCsv(fs.readFileSync(filePath, 'utf-8'));
+  const lists = {};
+  header.forEach((h, i) => {
+    const name = h.trim();
+    if (!name) return;
+    lists[name] = rows.map(r => (r[i] || '').trim()).filter(Boolean);
+  });
+  return lists;
+}
+
+// Build the query list from templates plus lists. `listFiles` maps placeholder -> list file
+// and takes precedence over a column of the same name in `listsCsv`.
+export function loadTemplateQueries({ templates = [], templateFile, listsCsv, listFiles = {} }) {
+  const all = [...templates];
+  if (templateFile) all.push(...readListFile(templateFile));
+  if (all.length === 0) return [];
+
+  const lists = listsCsv ? readListsCsv(listsCsv) : {};
+  for (const [name, file] of Object.entries(listFiles)) lists[name] = readListFile(file);
+
+  const seen = new Set();
+  const out = [];
+  for (const t of all) {
+    for (const q of expandTemplate(t, lists)) {
+      if (!seen.has(q)) { seen.add(q); out.push(q); }
+    }
+  }
+  return out;
+}
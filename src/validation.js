@@ -0,0 +1,110 @@
+// validation.js
+// Email validation stage between extraction and output. Every address gets a status and a reason
+// instead of being silently dropped:
+//   valid   - passes every check (reason `ok`, or `trimmed_trailing_text` when it was repaired)
+//   risky   - deliverable-looking but disposable, or the MX lookup could not be completed
+//   invalid - syntax, TLD, asset filename, placeholder domain, no-reply mailbox or no MX records
+import dns from 'dns';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+// Bundled lists: IANA TLDs and known disposable-mail domains
+const TLDS = new Set(require('tlds').map(t => t.toLowerCase()));
+const DISPOSABLE = new Set(require('disposable-email-domains').map(d => d.toLowerCase()));
+
+const LOCAL_RE = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const LABEL_RE = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+// Image/asset filenames that look like addresses, e.g. logo@2x.png
+const ASSET_RE = /\.(png|jpe?g|gif|webp|svg|bmp|ico|tiff?|avif|css|js|map|woff2?|ttf|mp4|webm|pdf)$/i;
+const PLACEHOLDER_RE = /(^|\.)(example\.(com|org|net)|domain\.com|email\.com|yourdomain\.com|sentry\.io|wixpress\.com)$/i;
+const NOREPLY_RE = /^(no-?reply|do-?not-?reply|mailer-daemon)@/i;
+
+export const STATUS = Object.freeze({ VALID: 'valid', RISKY: 'risky', INVALID: 'invalid' });
+
+// `input` is the address as extracted, `email` the normalized (possibly repaired) one
+function result(input, email, status, reason) {
+  return { input, email, status, reason };
+}
+
+// Syntax per RFC 5321 length limits and a conservative dot-atom local part
+export function checkSyntax(email) {
+  const at = email.lastIndexOf('@');
+  if (at <= 0 || at === email.length - 1) return false;
+  const local = email.slice(0, at), domain = email.slice(at + 1);
+  if (email.length > 254 || local.length > 64) return false;
+  if (!LOCAL_RE.test(local)) return false;
+  const labels = domain.split('.');
+  return labels.length >= 2 && labels.every(l => LABEL_RE.test(l));
+}
+
+// Regex matches on innerText can swallow the next word: info@acme.comContact -> acme.comcontact.
+// If the last label is not a TLD but starts with one, cut it back to the longest such TLD.
+function trimTrailingText(email) {
+  const dot = email.lastIndexOf('.');
+  const last = email.slice(dot + 1);
+  for (let n = last.length - 1; n >= 2; n--) {
+    if (TLDS.has(last.slice(0, n))) return email.slice(0, dot + 1) + last.slice(0, n);
+  }
+  return null;
+}
+
+// Synchronous checks (no network)
+export function validateStatic(raw) {
+  const input = String(raw || '');
+  let email = input.trim().toLowerCase().replace(/^mailto:/, '').replace(/[.,;:]+$/, '');
+  let repaired = false;
+
+  if (ASSET_RE.test(email)) return result(input, email, STATUS.INVALID, 'asset_filename');
+  if (!checkSyntax(email)) return result(input, email, STATUS.INVALID, 'bad_syntax');
+
+  if (!TLDS.has(email.slice(email.lastIndexOf('.') + 1))) {
+    const fixed = trimTrailingText(email);
+    if (!fixed) return result(input, email, STATUS.INVALID, 'unknown_tld');
+    email = fixed;
+    repaired = true;
+  }
+
+  const domain = email.slice(email.indexOf('@') + 1);
+  if (PLACEHOLDER_RE.test(domain)) return result(input, email, STATUS.INVALID, 'placeholder_domain');
+  if (NOREPLY_RE.test(email)) return result(input, email, STATUS.INVALID, 'no_reply');
+  if (DISPOSABLE.has(domain)) return result(input, email, STATUS.RISKY, 'disposable_domain');
+  return result(input, email, STATUS.VALID, repaired ? 'trimmed_trailing_text' : 'ok');
+}
+
+// Validator with an optional MX lookup. `dnsServers` (e.g. ['127.0.0.1:5353']) points the lookup
+// at a specific resolver, such as a local stub in tests; results are cached per domain.
+export function createValidator({ checkMx = false, dnsServers = [], timeoutMs = 5000 } = {}) {
+  const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+  if (dnsServers.length) resolver.setServers(dnsServers);
+  const mxCache = new Map();
+
+  // 'ok' | 'no_mx' | 'mx_lookup_failed'
+  function lookupMx(domain) {
+    if (!mxCache.has(domain)) {
+      mxCache.set(domain, resolver.resolveMx(domain)
+        .then(records => (records && records.length ? 'ok' : 'no_mx'))
+        .catch(err => (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(err?.code) ? 'no_mx' : 'mx_lookup_failed')));
+    }
+    return mxCache.get(domain);
+  }
+
+  return {
+    async validate(raw) {
+      const r = validateStatic(raw);
+      if (!checkMx || r.status === STATUS.INVALID) return r;
+      const mx = await lookupMx(r.email.slice(r.email.indexOf('@') + 1));
+      if (mx === 'no_mx') return result(r.input, r.email, STATUS.INVALID, 'no_mx');
+      if (mx === 'mx_lookup_failed' && r.status === STATUS.VALID) return result(r.input, r.email, STATUS.RISKY, 'mx_lookup_failed');
+      return r;
+    },
+
+    // Validate a batch; repaired addresses that collapse onto the same email are merged
+    async validateAll(emails) {
+      const out = new Map();
+      for (const r of await Promise.all(emails.map(e => this.validate(e)))) {
+        if (!out.has(r.email)) out.set(r.email, r);
+      }
+      return [...out.values()];
+    },
+  };
+}